@@ -0,0 +1,20 @@
+-- One-time migration: put existing items into folders
+-- Run this once in Supabase Dashboard > SQL Editor, right after createTable.sql
+-- has added parent_id to a table created before nested folders. Running it
+-- again would re-adopt items users deliberately moved out of folders.
+
+-- Each item goes into the smallest larger folder under its center. Connectors
+-- (stored at 0,0) and strokes don't belong to folders.
+UPDATE items AS child
+SET parent_id = (
+  SELECT folder.id FROM items AS folder
+  WHERE folder.type = 'rectangle'
+    AND folder.id <> child.id
+    AND folder.width * folder.height > child.width * child.height
+    AND child.x + child.width / 2 BETWEEN folder.x AND folder.x + folder.width
+    AND child.y + child.height / 2 BETWEEN folder.y AND folder.y + folder.height
+  ORDER BY folder.width * folder.height ASC
+  LIMIT 1
+)
+WHERE child.parent_id IS NULL
+  AND child.type NOT IN ('connector', 'stroke');
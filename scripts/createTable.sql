@@ -3,27 +3,111 @@
 
 CREATE TABLE IF NOT EXISTS items (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  type TEXT NOT NULL CHECK (type IN ('file', 'text', 'rectangle')),
+  type TEXT NOT NULL CHECK (type IN ('file', 'text', 'rectangle', 'link', 'connector', 'stroke')),
   x FLOAT NOT NULL,
   y FLOAT NOT NULL,
   width FLOAT NOT NULL,
   height FLOAT NOT NULL,
   content TEXT,
   file_name TEXT,
+  mime_type TEXT,
+  thumbnail TEXT,
+  preview_text TEXT,
+  link_meta JSONB,
+  parent_id UUID REFERENCES items(id) ON DELETE SET NULL,
+  source_id UUID REFERENCES items(id) ON DELETE CASCADE,
+  target_id UUID REFERENCES items(id) ON DELETE CASCADE,
+  connector_style JSONB,
+  stroke_style JSONB,
+  z_index DOUBLE PRECISION,
+  style JSONB,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Create index for faster queries
 CREATE INDEX IF NOT EXISTS items_created_at_idx ON items(created_at);
 
+-- Folder membership (for tables created before nested folders)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES items(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS items_parent_id_idx ON items(parent_id);
+
+-- File previews (for tables created before type-aware file cards)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS mime_type TEXT;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS thumbnail TEXT;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS preview_text TEXT;
+
+-- Item types (for tables created before links, connectors or strokes).
+-- One final check, so a re-run never meets rows a narrower list would reject.
+ALTER TABLE items DROP CONSTRAINT IF EXISTS items_type_check;
+ALTER TABLE items ADD CONSTRAINT items_type_check CHECK (type IN ('file', 'text', 'rectangle', 'link', 'connector', 'stroke'));
+
+-- Link cards (for tables created before the link item type)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS link_meta JSONB;
+
+-- Connectors (for tables created before arrows between items)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS source_id UUID REFERENCES items(id) ON DELETE CASCADE;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS target_id UUID REFERENCES items(id) ON DELETE CASCADE;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS connector_style JSONB;
+
+-- Freehand strokes (for tables created before the pen and highlighter)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS stroke_style JSONB;
+
+-- Stacking order (for tables created before bring to front / send to back)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS z_index DOUBLE PRECISION;
+
+-- Note and folder appearance (for tables created before the style panel)
+ALTER TABLE items ADD COLUMN IF NOT EXISTS style JSONB;
+
+-- Full-text search over note text, folder titles, file names and link titles
+ALTER TABLE items ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+  to_tsvector('english', CASE type
+    WHEN 'file' THEN coalesce(file_name, '')
+    WHEN 'link' THEN coalesce(link_meta->>'title', '') || ' ' || coalesce(content, '')
+    WHEN 'text' THEN coalesce(content, '')
+    WHEN 'rectangle' THEN coalesce(content, '')
+    ELSE ''
+  END)
+) STORED;
+CREATE INDEX IF NOT EXISTS items_search_vector_idx ON items USING GIN (search_vector);
+
+-- Batched field updates in one request: `updates` is [{ id, ...changedColumns }].
+-- One statement, so a group move or resize is saved all or nothing; columns an
+-- entry leaves out keep their values. New writable columns go in both lists.
+CREATE OR REPLACE FUNCTION update_items(updates JSONB)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE items AS item
+  SET (type, x, y, width, height, content, file_name, mime_type, thumbnail, preview_text, link_meta,
+       parent_id, source_id, target_id, connector_style, stroke_style, z_index, style) = (
+    SELECT r.type, r.x, r.y, r.width, r.height, r.content, r.file_name, r.mime_type, r.thumbnail, r.preview_text, r.link_meta,
+           r.parent_id, r.source_id, r.target_id, r.connector_style, r.stroke_style, r.z_index, r.style
+    FROM jsonb_populate_record(NULL::items, (to_jsonb(item) - 'search_vector') || u.value) AS r
+  )
+  FROM jsonb_array_elements(updates) AS u
+  WHERE item.id = (u.value->>'id')::uuid;
+$$;
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE items ENABLE ROW LEVEL SECURITY;
 
 -- Create policy to allow all operations (no auth for now)
+DROP POLICY IF EXISTS "Allow all operations for now" ON items;
 CREATE POLICY "Allow all operations for now" ON items
   FOR ALL
   USING (true)
   WITH CHECK (true);
 
+-- Broadcast row changes to connected clients (live collaboration)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'items'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE items;
+  END IF;
+END $$;
+
 -- Verify table was created
 SELECT * FROM items;
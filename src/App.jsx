@@ -1,16 +1,127 @@
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useMemo, useCallback } from "react";
 import "./App.css";
-import { supabase } from "./supabaseClient";
+import { backend } from "./lib/backend";
 import Tutorial from "./components/Tutorial";
 import CanvasItem from "./components/CanvasItem";
 import ContextMenu from "./components/ContextMenu";
 import ConfirmModal from "./components/ConfirmModal";
+import ExportDialog from "./components/ExportDialog";
+import Markdown from "./components/Markdown";
 import Toolbar from "./components/Toolbar";
+import SelectionBox from "./components/SelectionBox";
+import PresenceLayer from "./components/PresenceLayer";
+import UploadCard from "./components/UploadCard";
+import ConnectorLayer from "./components/ConnectorLayer";
+import SearchPanel from "./components/SearchPanel";
+import Minimap from "./components/Minimap";
+import SnapGuides from "./components/SnapGuides";
+import CommandPalette from "./components/CommandPalette";
+import StylePanel from "./components/StylePanel";
+import usePresence from "./hooks/usePresence";
+import useCommands from "./hooks/useCommands";
+import { createHistory } from "./lib/history";
+import { subscribeToItems } from "./lib/realtime";
+import {
+  getStoragePath,
+  insertItems,
+  updateItems,
+  deleteItems,
+  uploadFile,
+  uploadFileNow,
+  downloadFile,
+  removeFiles,
+  fetchItems,
+  syncQueue
+} from "./lib/itemPersistence";
+import { getCachedItems, replaceCachedItems } from "./lib/localCache";
+import { createBundle, validateBundle, prepareImport } from "./lib/boardBundle";
+import { getExportBounds, renderSvg, svgToPng } from "./lib/imageExport";
+import { toggleTask } from "./lib/markdown";
+import { createFilePreview, getFileCardSize, getFileKind } from "./lib/filePreview";
+import { createTaskPool } from "./lib/taskPool";
+import { getDroppedFiles } from "./lib/droppedFiles";
+import { createClipboardBundle, writeItemsToClipboard, readClipboard, isUrl } from "./lib/clipboard";
+import { unfurlLink } from "./lib/unfurl";
+import {
+  DEFAULT_CONNECTOR_STYLE,
+  isConnector,
+  getAttachedConnectorIds,
+  getConnectorsBetween,
+  findItemAt
+} from "./lib/connectors";
+import {
+  isStroke,
+  isStrokeTool,
+  createStroke,
+  toStrokePath,
+  strokeHitsSegment,
+  STROKE_TOOLS
+} from "./lib/strokes";
+import { clampZoom, getCameraForItem, animateCamera, getVisibleBounds } from "./lib/camera";
+import { GRID_SIZE, SNAP_THRESHOLD, snapMove, snapResize, snapPoint } from "./lib/snapping";
+import { commandRegistry, eventToBinding, findCommandForBinding } from "./lib/commands";
+import { APP_COMMANDS } from "./lib/appCommands";
+import { REORDER_ACTIONS, compareZ, getReorderUpdates, stackItems } from "./lib/zOrder";
+import { getItemStyle, getTextColor, isStyleable, pickStyleFields } from "./lib/itemStyles";
+import { clampSize, getMinSize, getResizeEdges, placeBox, resizeBox } from "./lib/resizing";
+import {
+  getDescendantIds,
+  findContainingFolder,
+  findSurvivingAncestor
+} from "./lib/folders";
+
+// What a rejected sync operation was trying to do, for the error message
+const SYNC_ACTIONS = {
+  upsert: 'save items',
+  update: 'save changes',
+  delete: 'delete items',
+  upload: 'upload file',
+  removeFiles: 'remove files'
+};
+
+// Keep items in creation order (matches the initial load query)
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+// Axis-aligned bounds helpers (world coordinates)
+const getBounds = (list) => {
+  const left = Math.min(...list.map(i => i.x));
+  const top = Math.min(...list.map(i => i.y));
+  const right = Math.max(...list.map(i => i.x + (i.width || 0)));
+  const bottom = Math.max(...list.map(i => i.y + (i.height || 0)));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+const intersects = (item, box) =>
+  item.x < box.x + box.width && item.x + (item.width || 0) > box.x &&
+  item.y < box.y + box.height && item.y + (item.height || 0) > box.y;
+
+// Dropped files are uploaded a few at a time, each in its own grid cell
+const UPLOAD_CONCURRENCY = 3;
+const UPLOAD_CELL = { width: 320, height: 260 };
+
+const LINK_CARD_SIZE = { width: 280, height: 72 };
+const ERASER_RADIUS = 8; // Screen pixels
+const SEARCH_HIGHLIGHT_MS = 1600;
+const CULL_MARGIN = 0.5; // Extra viewport fraction kept mounted on each side, so panning doesn't pop
+const LOD_ZOOM = 0.3; // Below this zoom, cards render as plain blocks
+const ZOOM_STEP = 1.2; // Zoom in/out keys
+const DUPLICATE_OFFSET = 30; // One grid step, so duplicates of snapped items stay on the grid
+const GRID_SNAP_KEY = 'omnispace-snap-to-grid';
+
+// CanvasItem callbacks; see itemHandlers in App
+const ITEM_HANDLER_NAMES = ['onEditText', 'onDragStart', 'onEditRectangleTitle', 'onContextMenu', 'onResizeStart', 'onToggleTask'];
+
+// Save a Blob through a temporary download link
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 function App() {
-  // Test Supabase connection
-  console.log("Supabase client initialized:", supabase);
-
   // State
   const [camera, setCamera] = useState({ x: 0, y: 0, zoom: 1 });
   const [isPanning, setIsPanning] = useState(false);
@@ -21,22 +132,153 @@ function App() {
   const [textDimensions, setTextDimensions] = useState({ width: 200, height: 60 });
   const [editingRectangleTitle, setEditingRectangleTitle] = useState(null); // { itemId, x, y } or null
   const [rectangleTitleValue, setRectangleTitleValue] = useState('');
-  const [draggingItem, setDraggingItem] = useState(null); // { id, startX, startY, originalX, originalY } or null
-  const [tool, setTool] = useState('select'); // 'select' or 'rectangle'
+  const [draggingItem, setDraggingItem] = useState(null); // { id, startX, startY, originals: { [id]: { x, y } }, rootIds } or null
+  const [tool, setTool] = useState('select'); // 'select', 'rectangle', 'connector', 'pen', 'highlighter' or 'eraser'
   const [drawStart, setDrawStart] = useState(null); // { x, y } world coordinates
   const [drawCurrent, setDrawCurrent] = useState(null); // { x, y } world coordinates for preview
   const [contextMenu, setContextMenu] = useState(null); // { x, y, item } or null
-  const [resizingItem, setResizingItem] = useState(null); // { id, startX, startY, originalWidth, originalHeight, direction } or null
-  const [confirmDelete, setConfirmDelete] = useState(null); // item to delete or null
+  const [resizingItem, setResizingItem] = useState(null); // { id, startX, startY, original: { x, y, width, height }, keepsAspect, direction } or null
+  const [confirmDelete, setConfirmDelete] = useState(null); // { items, nestedCount } to delete or null
+  const [exportImage, setExportImage] = useState(null); // { folder } while the image export dialog is open
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [highlightedId, setHighlightedId] = useState(null); // Search result that was just flown to
+  const [gridSnap, setGridSnap] = useState(() => localStorage.getItem(GRID_SNAP_KEY) === 'true');
+  const [snapGuides, setSnapGuides] = useState(null); // { lines, gaps } while something is snapping
+  const [selectedIds, setSelectedIds] = useState([]); // ids of selected items
+  const [marquee, setMarquee] = useState(null); // { start, current, additive, baseIds } in world coordinates or null
+  const [resizingGroup, setResizingGroup] = useState(null); // { startX, startY, bounds, originals } or null
+  const [remoteMovingIds, setRemoteMovingIds] = useState([]); // items another user is dragging right now
+  const [syncState, setSyncState] = useState({ status: 'synced', pendingCount: 0 }); // outbox status
+  const [connecting, setConnecting] = useState(null); // { sourceId, point } while drawing a connector
+  const [drawingStroke, setDrawingStroke] = useState(null); // { tool, points } in world coordinates while drawing
+  const [erasing, setErasing] = useState(null); // { ids, last } while the eraser is held down
+  const [uploads, setUploads] = useState([]); // placeholders for dropped files: { id, file, x, y, width, height, progress, status, error }
+
+  // Collaborators: who else is on the board and what they are doing
+  const { user, peers, updatePresence, renameUser } = usePresence();
+
+  // Registered commands and this user's key bindings for them
+  const { commands, bindings, rebind, resetBindings } = useCommands(user.id);
 
   // Refs (for values that don't need to trigger re-renders)
   const panStartRef = useRef(null); // { mouseX, mouseY, camX, camY }
   const spaceHeldRef = useRef(false);
   const viewportRef = useRef(null); // Reference to viewport DOM element
   const textInputRef = useRef(null); // Reference to text input for auto-focus
+  const textPreviewRef = useRef(null); // Rendered Markdown preview, measured to size the saved note
   const rectangleTitleInputRef = useRef(null); // Reference to rectangle title input for auto-focus
+  const historyRef = useRef(null); // Undo/redo stack of canvas mutations
+  const itemsRef = useRef(items); // Latest items for async helpers outside the render closure
+  itemsRef.current = items;
+  const selectedIdsRef = useRef(selectedIds); // Latest selection for the mount-time clipboard listeners
+  selectedIdsRef.current = selectedIds;
+  const commandHandlersRef = useRef({}); // command id -> latest handler, see APP_COMMANDS
+  const bindingsRef = useRef(bindings); // Latest key bindings for the mount-time key listener
+  bindingsRef.current = bindings;
+  const windowHandlersRef = useRef({}); // Latest wheel/drag/resize handlers for listeners attached once
+  const itemHandlersRef = useRef({}); // Latest CanvasItem callbacks, see itemHandlers
+
+  // Stable CanvasItem callbacks that forward to the latest handlers, so
+  // memoized items only re-render when their own props change
+  const itemHandlers = useMemo(() => Object.fromEntries(
+    ITEM_HANDLER_NAMES.map(name => [name, (...args) => itemHandlersRef.current[name](...args)])
+  ), []);
+
+  // Derived from items only, so panning and zooming don't recompute them
+  const itemsById = useMemo(() => new Map(items.map(i => [i.id, i])), [items]);
+  const layeredItems = useMemo(() => stackItems(items), [items]); // { folders, connectors, cards } bottom first
+  const realtimeRef = useRef(null); // { sendLivePatch, unsubscribe } for the shared board channel
+  const remoteMovingTimerRef = useRef(null);
+  const uploadPoolRef = useRef(null); // Bounded pool that runs dropped-file uploads
+  const clipboardHandlersRef = useRef(null); // Latest { copy, cut, paste } for the mount-time clipboard listeners
+  const clipboardTargetsRef = useRef(null); // Items the context menu is copying or cutting, instead of the selection
+  const cutBlobsRef = useRef({}); // storage path -> Blob of files removed by the last cut, for pasting them back
+  const pointerRef = useRef(null); // Last cursor position (client coordinates), where pastes land
+  const stopCameraAnimationRef = useRef(null);
+  const highlightTimerRef = useRef(null);
+  const uploadControllersRef = useRef(new Map()); // upload id -> AbortController
+  if (!historyRef.current) {
+    historyRef.current = createHistory();
+  }
+  if (!uploadPoolRef.current) {
+    uploadPoolRef.current = createTaskPool(UPLOAD_CONCURRENCY);
+  }
+
+  // Local state helpers (functional updates so undo/redo never sees stale items)
+  const addLocalItems = (rows) => {
+    const ids = rows.map(r => r.id);
+    setItems(prev => [...prev.filter(i => !ids.includes(i.id)), ...rows].sort(byCreatedAt));
+  };
+
+  const removeLocalItems = (ids) => {
+    setItems(prev => prev.filter(i => !ids.includes(i.id)));
+    setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+  };
+
+  const patchLocalItems = (updates) => {
+    const byId = new Map(updates.map(u => [u.id, u]));
+    setItems(prev => prev.map(i => byId.has(i.id) ? { ...i, ...byId.get(i.id) } : i));
+  };
+
+  // Apply field updates locally and in the database (only the changed columns
+  // are sent, so concurrent edits to other fields aren't overwritten)
+  const applyUpdates = async (updates) => {
+    patchLocalItems(updates);
+    await updateItems(updates);
+  };
 
-  // Keyboard listeners for spacebar and tool shortcuts
+  // Remove rows locally, from the database and (for files) from storage
+  const removeRows = async (rows) => {
+    removeLocalItems(rows.map(r => r.id));
+    await removeFiles(rows.map(getStoragePath).filter(Boolean));
+    await deleteItems(rows.map(r => r.id));
+  };
+
+  // Re-create rows with their original ids, re-uploading file blobs first
+  const restoreRows = async (rows, blobs) => {
+    for (const row of rows) {
+      const path = getStoragePath(row);
+      if (path && blobs[path]) {
+        await uploadFile(path, blobs[path]);
+      }
+    }
+    await insertItems(rows);
+    addLocalItems(rows);
+  };
+
+  // Record commands after the original action has already been performed
+  const recordUpdate = (label, before, after) => {
+    historyRef.current.push({
+      label,
+      undo: () => applyUpdates(before),
+      redo: () => applyUpdates(after)
+    });
+  };
+
+  const recordInsert = (label, rows, blobs = {}) => {
+    historyRef.current.push({
+      label,
+      undo: () => removeRows(rows),
+      redo: () => restoreRows(rows, blobs)
+    });
+  };
+
+  const recordDelete = (label, rows, blobs = {}) => {
+    historyRef.current.push({
+      label,
+      undo: () => restoreRows(rows, blobs),
+      redo: () => removeRows(rows)
+    });
+  };
+
+  // Register the board's commands; run() forwards to the latest handler
+  useEffect(() => commandRegistry.register(APP_COMMANDS.map(command => command.gesture ? command : {
+    ...command,
+    run: () => commandHandlersRef.current[command.id]()
+  })), []);
+
+  // Keyboard listeners for spacebar and command shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
       // Don't capture keys if typing in text input
@@ -49,16 +291,10 @@ function App() {
         spaceHeldRef.current = true;
       }
 
-      // 'R' key to activate rectangle tool
-      if (e.key === 'r' || e.key === 'R') {
-        setTool('rectangle');
-      }
-
-      // 'Escape' key to return to select tool
-      if (e.key === 'Escape') {
-        setTool('select');
-        setDrawStart(null);
-        setDrawCurrent(null);
+      const binding = eventToBinding(e);
+      const command = binding && findCommandForBinding(binding, commandRegistry.list(), bindingsRef.current);
+      if (command && command.run() !== false) {
+        e.preventDefault();
       }
     };
 
@@ -83,43 +319,303 @@ function App() {
     };
   }, []); // Empty array = run once on mount
 
-  // Load items from Supabase on mount
+  // Copy or cut selected items / paste images, text, URLs and items at the cursor
+  useEffect(() => {
+    const isTyping = (e) => e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+
+    const handleCopyEvent = (e) => {
+      if (!isTyping(e)) clipboardHandlersRef.current.copy(e);
+    };
+    const handleCutEvent = (e) => {
+      if (!isTyping(e)) clipboardHandlersRef.current.cut(e);
+    };
+    const handlePasteEvent = (e) => {
+      if (!isTyping(e)) clipboardHandlersRef.current.paste(e);
+    };
+
+    document.addEventListener('copy', handleCopyEvent);
+    document.addEventListener('cut', handleCutEvent);
+    document.addEventListener('paste', handlePasteEvent);
+    return () => {
+      document.removeEventListener('copy', handleCopyEvent);
+      document.removeEventListener('cut', handleCutEvent);
+      document.removeEventListener('paste', handlePasteEvent);
+    };
+  }, []);
+
+  // Live collaboration: merge other users' changes into local state
+  useEffect(() => {
+    const connection = subscribeToItems({
+      onInsert: (row) => addLocalItems([row]),
+      onUpdate: (row) => patchLocalItems([row]),
+      onDelete: (id) => removeLocalItems([id]),
+      onLivePatch: (updates) => {
+        patchLocalItems(updates);
+
+        // Smooth remote drags with a short CSS transition until they go quiet
+        setRemoteMovingIds(updates.map(u => u.id));
+        clearTimeout(remoteMovingTimerRef.current);
+        remoteMovingTimerRef.current = setTimeout(() => setRemoteMovingIds([]), 300);
+      }
+    });
+    realtimeRef.current = connection;
+
+    return () => {
+      connection.unsubscribe();
+      clearTimeout(remoteMovingTimerRef.current);
+    };
+  }, []); // Run once on mount
+
+  // Share our viewport so collaborators can see it and jump to it
+  useEffect(() => {
+    updatePresence({
+      viewport: {
+        x: camera.x,
+        y: camera.y,
+        zoom: camera.zoom,
+        width: window.innerWidth / camera.zoom,
+        height: window.innerHeight / camera.zoom
+      }
+    });
+  }, [camera, updatePresence]);
+
+  // Share which items we are dragging, resizing or editing
+  useEffect(() => {
+    if (draggingItem) {
+      updatePresence({ activeItemIds: Object.keys(draggingItem.originals), activity: 'dragging' });
+    } else if (resizingItem) {
+      updatePresence({ activeItemIds: [resizingItem.id], activity: 'resizing' });
+    } else if (resizingGroup) {
+      updatePresence({ activeItemIds: Object.keys(resizingGroup.originals), activity: 'resizing' });
+    } else if (editingText?.itemId) {
+      updatePresence({ activeItemIds: [editingText.itemId], activity: 'editing' });
+    } else if (editingRectangleTitle) {
+      updatePresence({ activeItemIds: [editingRectangleTitle.itemId], activity: 'editing' });
+    } else {
+      updatePresence({ activeItemIds: [], activity: null });
+    }
+  }, [draggingItem, resizingItem, resizingGroup, editingText, editingRectangleTitle, updatePresence]);
+
+  // Replace local state with the server copy - only once nothing local is
+  // waiting to sync, otherwise the server copy is older than ours
+  const refreshFromServer = async () => {
+    await syncQueue.flush();
+    if (syncQueue.getStatus() !== 'synced') return;
+
+    try {
+      setItems(await fetchItems());
+    } catch (err) {
+      console.error('Error loading items:', err);
+    }
+  };
+
+  // Load items on mount: cached copy first (instant, works offline), then Supabase
   useEffect(() => {
     const loadItems = async () => {
       try {
-        const { data, error } = await supabase
-          .from('items')
-          .select('*')
-          .order('created_at', { ascending: true });
-
-        if (error) {
-          console.error('Error loading items:', error);
-        } else {
-          setItems(data || []);
+        const cached = await getCachedItems();
+        if (cached.length > 0) {
+          setItems(cached.sort(byCreatedAt));
+          setLoading(false);
         }
       } catch (err) {
-        console.error('Failed to load items:', err);
-      } finally {
-        setLoading(false);
+        console.error('Failed to read cached items:', err);
       }
+
+      await refreshFromServer();
+      setLoading(false);
     };
 
     loadItems();
   }, []); // Run once on mount
 
+  // Track sync status; after coming back online or having a write rejected,
+  // catch up with the server (which also reverts the rejected change)
+  useEffect(() => {
+    let needsRefresh = false;
+
+    const unsubscribeRejected = syncQueue.onRejected((operation, err) => {
+      needsRefresh = true;
+      alert(`Failed to ${SYNC_ACTIONS[operation.type] || 'sync'}: ` + err.message);
+    });
+
+    const unsubscribe = syncQueue.subscribe((state) => {
+      setSyncState(state);
+
+      if (state.status === 'offline') {
+        needsRefresh = true;
+      } else if (state.status === 'synced' && needsRefresh) {
+        needsRefresh = false;
+        refreshFromServer();
+      }
+    });
+
+    return () => {
+      unsubscribeRejected();
+      unsubscribe();
+    };
+  }, []); // Run once on mount
+
+  // Mirror the board into IndexedDB so it opens instantly next time
+  useEffect(() => {
+    if (loading) return;
+
+    const timer = setTimeout(() => {
+      replaceCachedItems(items).catch(err => console.error('Failed to cache items:', err));
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [items, loading]);
+
+  // Convert a mouse event position to world coordinates
+  const screenToWorld = (clientX, clientY) => {
+    const rect = viewportRef.current.getBoundingClientRect();
+    const screenX = clientX - rect.left;
+    const screenY = clientY - rect.top;
+
+    return {
+      x: (screenX - window.innerWidth / 2) / camera.zoom + camera.x,
+      y: (screenY - window.innerHeight / 2) / camera.zoom + camera.y
+    };
+  };
+
+  // Marquee box from its two corners
+  const getMarqueeBox = (m) => ({
+    x: Math.min(m.start.x, m.current.x),
+    y: Math.min(m.start.y, m.current.y),
+    width: Math.abs(m.current.x - m.start.x),
+    height: Math.abs(m.current.y - m.start.y)
+  });
+
+  // Pen, highlighter and eraser gestures start the same way on the canvas or on an item
+  const startFreehand = (clientX, clientY) => {
+    const point = screenToWorld(clientX, clientY);
+
+    if (isStrokeTool(tool)) {
+      setDrawingStroke({ tool, points: [point] });
+      return true;
+    }
+    if (tool === 'eraser') {
+      setErasing({ ids: findErasedStrokes(point, point, []), last: point });
+      return true;
+    }
+    return false;
+  };
+
+  // Strokes touched by the eraser moving from one point to another
+  const findErasedStrokes = (from, to, alreadyErased) => [
+    ...alreadyErased,
+    ...items
+      .filter(i => isStroke(i) && !alreadyErased.includes(i.id))
+      .filter(i => strokeHitsSegment(i, from, to, ERASER_RADIUS / camera.zoom))
+      .map(i => i.id)
+  ];
+
+  const finishStroke = async (stroke) => {
+    // Ignore clicks that never moved
+    if (stroke.points.length < 2) return;
+
+    const fields = createStroke(stroke.points, stroke.tool, camera.zoom);
+    const parent = findContainingFolder(fields, items);
+
+    const [newItem] = await insertItems([{ ...fields, parent_id: parent ? parent.id : null }]);
+    addLocalItems([newItem]);
+    recordInsert('Draw stroke', [newItem]);
+  };
+
+  // Erased strokes were only hidden while dragging; delete them (and any
+  // arrows attached to them) as one undoable step
+  const finishErasing = async (ids) => {
+    if (ids.length === 0) return;
+
+    const allIds = [...ids, ...getAttachedConnectorIds(ids, items)];
+    const toDelete = items.filter(i => allIds.includes(i.id));
+
+    await removeRows(toDelete);
+    recordDelete(ids.length === 1 ? 'Erase stroke' : `Erase ${ids.length} strokes`, toDelete);
+  };
+
+  // Animate from the current camera to `target`, interrupting any other flight
+  const moveCamera = (target) => {
+    if (stopCameraAnimationRef.current) {
+      stopCameraAnimationRef.current();
+    }
+    stopCameraAnimationRef.current = animateCamera(camera, target, setCamera);
+  };
+
+  // Animate the camera to a search result and flash it
+  const flyToItem = (item) => {
+    moveCamera(getCameraForItem(item, window.innerWidth, window.innerHeight));
+
+    clearTimeout(highlightTimerRef.current);
+    setHighlightedId(item.id);
+    highlightTimerRef.current = setTimeout(() => setHighlightedId(null), SEARCH_HIGHLIGHT_MS);
+  };
+
+  // Clicking or dragging on the minimap centers the camera on that point.
+  // Stable, so the memoized minimap doesn't re-render for unrelated state.
+  const handleMinimapNavigate = useCallback((point) => {
+    if (stopCameraAnimationRef.current) {
+      stopCameraAnimationRef.current();
+    }
+    setCamera(current => ({ ...current, x: point.x, y: point.y }));
+  }, []);
+
+  // Keyboard zoom keeps the center of the viewport in place
+  const zoomBy = (factor) => {
+    moveCamera({ ...camera, zoom: clampZoom(camera.zoom * factor) });
+  };
+
+  const zoomToFit = () => {
+    if (!items.some(i => !isConnector(i))) return false;
+    moveCamera(getCameraForItem(getExportBounds(items), window.innerWidth, window.innerHeight, 1, 0.9));
+  };
+
+  const handleSearchSelect = (item) => {
+    setSearchOpen(false);
+    flyToItem(item);
+  };
+
+  useEffect(() => {
+    localStorage.setItem(GRID_SNAP_KEY, String(gridSnap));
+  }, [gridSnap]);
+
+  // Snapping settings for a pointer event; holding Ctrl/Cmd turns snapping off
+  const getSnapOptions = (e) => (e.ctrlKey || e.metaKey
+    ? null
+    : { threshold: SNAP_THRESHOLD / camera.zoom, grid: gridSnap });
+
+  // On-screen items something can snap to
+  const getSnapCandidates = (excludeIds = []) => {
+    const visible = getVisibleBounds(camera, window.innerWidth, window.innerHeight);
+    return items.filter(i => !isConnector(i) && !excludeIds.includes(i.id) && intersects(i, visible));
+  };
+
+  // A rectangle corner under the cursor, snapped unless disabled
+  const getDrawPoint = (e) => {
+    const point = screenToWorld(e.clientX, e.clientY);
+    const options = getSnapOptions(e);
+    if (!options) {
+      setSnapGuides(null);
+      return point;
+    }
+
+    const snap = snapPoint(point, getSnapCandidates(), options);
+    setSnapGuides(snap);
+    return snap.point;
+  };
+
   // Mouse handlers for panning and drawing
   const handleMouseDown = (e) => {
     // Rectangle drawing mode
     if (tool === 'rectangle' && e.button === 0) {
-      const rect = viewportRef.current.getBoundingClientRect();
-      const screenX = e.clientX - rect.left;
-      const screenY = e.clientY - rect.top;
-
-      const worldX = (screenX - window.innerWidth / 2) / camera.zoom + camera.x;
-      const worldY = (screenY - window.innerHeight / 2) / camera.zoom + camera.y;
+      const point = getDrawPoint(e);
+      setDrawStart(point);
+      setDrawCurrent(point);
+      return;
+    }
 
-      setDrawStart({ x: worldX, y: worldY });
-      setDrawCurrent({ x: worldX, y: worldY });
+    if (e.button === 0 && !spaceHeldRef.current && startFreehand(e.clientX, e.clientY)) {
       return;
     }
 
@@ -133,20 +629,66 @@ function App() {
         camX: camera.x,
         camY: camera.y
       };
+      return;
+    }
+
+    // Left drag on empty canvas starts a marquee selection
+    const onEmptyCanvas = e.target.classList.contains('world') || e.target.classList.contains('viewport');
+    if (tool === 'select' && e.button === 0 && onEmptyCanvas) {
+      const point = screenToWorld(e.clientX, e.clientY);
+      setMarquee({
+        start: point,
+        current: point,
+        additive: e.shiftKey,
+        baseIds: e.shiftKey ? selectedIds : []
+      });
+      if (!e.shiftKey) {
+        setSelectedIds([]);
+      }
     }
   };
 
   const handleMouseMove = (e) => {
+    // Share our cursor position (world coordinates) with collaborators
+    pointerRef.current = { x: e.clientX, y: e.clientY };
+    updatePresence({ cursor: screenToWorld(e.clientX, e.clientY) });
+
     // Update rectangle preview while drawing
     if (drawStart && tool === 'rectangle') {
-      const rect = viewportRef.current.getBoundingClientRect();
-      const screenX = e.clientX - rect.left;
-      const screenY = e.clientY - rect.top;
+      setDrawCurrent(getDrawPoint(e));
+      return;
+    }
 
-      const worldX = (screenX - window.innerWidth / 2) / camera.zoom + camera.x;
-      const worldY = (screenY - window.innerHeight / 2) / camera.zoom + camera.y;
+    // Extend the stroke, skipping points closer than a couple of screen pixels
+    if (drawingStroke) {
+      const point = screenToWorld(e.clientX, e.clientY);
+      const last = drawingStroke.points[drawingStroke.points.length - 1];
+      if (Math.hypot(point.x - last.x, point.y - last.y) * camera.zoom >= 2) {
+        setDrawingStroke({ ...drawingStroke, points: [...drawingStroke.points, point] });
+      }
+      return;
+    }
 
-      setDrawCurrent({ x: worldX, y: worldY });
+    if (erasing) {
+      const point = screenToWorld(e.clientX, e.clientY);
+      setErasing({ ids: findErasedStrokes(erasing.last, point, erasing.ids), last: point });
+      return;
+    }
+
+    // Follow the cursor with the connector being drawn
+    if (connecting) {
+      setConnecting({ ...connecting, point: screenToWorld(e.clientX, e.clientY) });
+      return;
+    }
+
+    // Grow the marquee and select everything it touches (plus arrows between them)
+    if (marquee) {
+      const next = { ...marquee, current: screenToWorld(e.clientX, e.clientY) };
+      const box = getMarqueeBox(next);
+      const boxIds = items.filter(i => !isConnector(i) && intersects(i, box)).map(i => i.id);
+      const hitIds = [...boxIds, ...getConnectorsBetween(boxIds, items).map(c => c.id)];
+      setMarquee(next);
+      setSelectedIds([...new Set([...next.baseIds, ...hitIds])]);
       return;
     }
 
@@ -166,6 +708,8 @@ function App() {
   };
 
   const handleMouseUp = async () => {
+    setSnapGuides(null);
+
     // Complete rectangle drawing
     if (drawStart && drawCurrent && tool === 'rectangle') {
       // Calculate rectangle bounds
@@ -176,30 +720,37 @@ function App() {
 
       // Only create rectangle if it has some size (avoid accidental clicks)
       if (width > 10 && height > 10) {
-        try {
-          const { data: newItem, error } = await supabase
-            .from('items')
-            .insert({
-              type: 'rectangle',
-              x: x,
-              y: y,
-              width: width,
-              height: height
-            })
-            .select()
-            .single();
-
-          if (error) {
-            console.error('Error creating rectangle:', error);
-            alert('Failed to create rectangle: ' + error.message);
-          } else {
-            setItems([...items, newItem]);
-            console.log('Rectangle created successfully');
+        const bounds = { type: 'rectangle', x: x, y: y, width: width, height: height };
+        const parent = findContainingFolder(bounds, items);
+
+        const [newItem] = await insertItems([{
+          ...bounds,
+          parent_id: parent ? parent.id : null
+        }]);
+
+        // Drawing a folder around existing items adopts them
+        const adopted = items.filter(i =>
+          (i.parent_id ?? null) === newItem.parent_id &&
+          findContainingFolder(i, [...items, newItem])?.id === newItem.id
+        );
+        const adoptUpdates = adopted.map(i => ({ id: i.id, parent_id: newItem.id }));
+        const releaseUpdates = adopted.map(i => ({ id: i.id, parent_id: i.parent_id ?? null }));
+
+        addLocalItems([newItem]);
+        await applyUpdates(adoptUpdates);
+
+        historyRef.current.push({
+          label: 'Create folder',
+          undo: async () => {
+            await applyUpdates(releaseUpdates);
+            await removeRows([newItem]);
+          },
+          redo: async () => {
+            await restoreRows([newItem], {});
+            await applyUpdates(adoptUpdates);
           }
-        } catch (err) {
-          console.error('Unexpected error:', err);
-          alert('Failed to create rectangle');
-        }
+        });
+        console.log('Rectangle created successfully');
       }
 
       // Reset drawing state and return to select tool
@@ -209,6 +760,33 @@ function App() {
       return;
     }
 
+    if (drawingStroke) {
+      setDrawingStroke(null);
+      await finishStroke(drawingStroke);
+      return;
+    }
+
+    if (erasing) {
+      await finishErasing(erasing.ids);
+      setErasing(null);
+      return;
+    }
+
+    // Finish a connector on whatever item is under the cursor
+    if (connecting) {
+      const target = findItemAt(connecting.point, items, [connecting.sourceId]);
+      setConnecting(null);
+      if (target) {
+        await createConnector(connecting.sourceId, target.id);
+      }
+      return;
+    }
+
+    if (marquee) {
+      setMarquee(null);
+      return;
+    }
+
     setIsPanning(false);
     panStartRef.current = null;
   };
@@ -219,73 +797,421 @@ function App() {
     e.dataTransfer.dropEffect = 'copy'; // Show copy cursor
   };
 
+  const patchUpload = (id, fields) => {
+    setUploads(prev => prev.map(u => (u.id === id ? { ...u, ...fields } : u)));
+  };
+
+  const finishUpload = (id) => {
+    uploadControllersRef.current.delete(id);
+    setUploads(prev => prev.filter(u => u.id !== id));
+  };
+
+  // Add one dropped file: build its preview, upload it and create the item
+  // where its placeholder sits. Runs inside the bounded upload pool. The File
+  // is sent as is, never copied into memory, and the bar follows the upload.
+  const processUpload = (upload) => {
+    const controller = new AbortController();
+    uploadControllersRef.current.set(upload.id, controller);
+    const { signal } = controller;
+    const throwIfCancelled = () => {
+      if (signal.aborted) throw new DOMException('Upload cancelled', 'AbortError');
+    };
+
+    patchUpload(upload.id, { status: 'queued', progress: 0, error: null });
+
+    return uploadPoolRef.current.run(async () => {
+      const { file } = upload;
+      // Files from different dropped folders may share a name
+      const filePath = `${Date.now()}_${upload.id.slice(0, 8)}_${file.name}`;
+      let stored = false;
+
+      try {
+        throwIfCancelled();
+        patchUpload(upload.id, { status: 'uploading' });
+
+        // Detect the type and render a thumbnail once, so cards don't refetch the file
+        const { fields: preview, aspect } = await createFilePreview(file);
+        throwIfCancelled();
+
+        const publicUrl = await uploadFileNow(filePath, file, {
+          signal,
+          onProgress: (fraction) => patchUpload(upload.id, { progress: fraction })
+        });
+        stored = true;
+        throwIfCancelled();
+
+        // Create database record (dropping onto a folder puts it inside)
+        const size = getFileCardSize(getFileKind(preview), aspect);
+        const bounds = { type: 'file', x: upload.x, y: upload.y, ...size };
+        const parent = findContainingFolder(bounds, itemsRef.current);
+        const [newItem] = await insertItems([{
+          ...bounds,
+          content: publicUrl,
+          file_name: file.name,
+          ...preview,
+          parent_id: parent ? parent.id : null
+        }]);
+
+        // Add to local state (keep the File so redo can re-upload it)
+        addLocalItems([newItem]);
+        recordInsert('Upload file', [newItem], { [filePath]: file });
+        finishUpload(upload.id);
+      } catch (err) {
+        if (stored) {
+          await removeFiles([filePath]);
+        }
+        if (err.name === 'AbortError') {
+          finishUpload(upload.id);
+          return;
+        }
+        console.error('Upload error:', err);
+        patchUpload(upload.id, { status: 'failed', error: err.message });
+      }
+    });
+  };
+
+  const cancelUpload = (id) => {
+    uploadControllersRef.current.get(id)?.abort();
+    finishUpload(id);
+  };
+
+  const retryUpload = (id) => {
+    const upload = uploads.find(u => u.id === id);
+    if (upload) {
+      processUpload(upload);
+    }
+  };
+
+  // Queue files for upload, laid out in a grid centered on a world point
+  const startUploads = (files, point) => {
+    const columns = Math.ceil(Math.sqrt(files.length));
+    const rows = Math.ceil(files.length / columns);
+    const originX = point.x - (columns * UPLOAD_CELL.width) / 2;
+    const originY = point.y - (rows * UPLOAD_CELL.height) / 2;
+
+    const newUploads = files.map((file, index) => ({
+      id: crypto.randomUUID(),
+      file,
+      x: originX + (index % columns) * UPLOAD_CELL.width,
+      y: originY + Math.floor(index / columns) * UPLOAD_CELL.height,
+      width: 180,
+      height: 120,
+      progress: 0,
+      status: 'queued',
+      error: null
+    }));
+
+    setUploads(prev => [...prev, ...newUploads]);
+    newUploads.forEach(processUpload);
+  };
+
   const handleDrop = async (e) => {
     e.preventDefault();
 
-    const file = e.dataTransfer.files[0];
-    if (!file) return;
+    const dropPoint = screenToWorld(e.clientX, e.clientY);
+    let files;
+    try {
+      files = await getDroppedFiles(e.dataTransfer);
+    } catch (err) {
+      console.error('Error reading dropped files:', err);
+      alert('Failed to read dropped files: ' + err.message);
+      return;
+    }
+    if (files.length === 0) return;
+
+    startUploads(files, dropPoint);
+  };
+
+  // Where pasted content lands: the last cursor position, else the view center
+  const getPastePoint = () => (
+    pointerRef.current
+      ? screenToWorld(pointerRef.current.x, pointerRef.current.y)
+      : { x: camera.x, y: camera.y }
+  );
+
+  // Recreate copied items around a point, with fresh ids and their own file copies
+  const pasteItems = async (bundle, point, label = 'Paste items') => {
+    const errors = validateBundle(bundle);
+    if (errors.length > 0) {
+      throw new Error('Clipboard items are invalid:\n' + errors.slice(0, 10).join('\n'));
+    }
+
+    const { rows } = prepareImport(bundle, {
+      uploadPathFor: (path) => path,
+      getPublicUrl: backend.blobs.getPublicUrl
+    });
+    const bounds = getBounds(rows.filter(row => !isConnector(row)));
+    const dx = point.x - (bounds.x + bounds.width / 2);
+    const dy = point.y - (bounds.y + bounds.height / 2);
+    const blobs = {};
+
+    for (const row of rows) {
+      delete row.z_index; // Pasted items land on top, stacked as they were copied
+      if (isConnector(row)) continue;
+      row.x += dx;
+      row.y += dy;
+
+      const path = getStoragePath(row);
+      if (!path) continue;
+      try {
+        const blob = cutBlobsRef.current[path] || await downloadFile(path);
+        const newPath = `${Date.now()}_${crypto.randomUUID().slice(0, 8)}_${row.file_name}`;
+        row.content = await uploadFile(newPath, blob);
+        blobs[newPath] = blob;
+      } catch (err) {
+        // Still paste the card; it keeps pointing at the original file
+        console.error(`Could not copy ${path}:`, err);
+      }
+    }
+
+    // Items whose folder wasn't copied join whatever folder they land in
+    rows.forEach(row => {
+      if (!row.parent_id) {
+        const parent = findContainingFolder(row, [...itemsRef.current, ...rows]);
+        row.parent_id = parent ? parent.id : null;
+      }
+    });
+
+    const created = await insertItems(rows);
+    addLocalItems(created);
+    recordInsert(label, created, blobs);
+    setSelectedIds(created.map(i => i.id));
+  };
+
+  const pasteText = async (text, point) => {
+    // Rough height from the line count; the editor re-measures on first edit
+    const lineCount = text.split('\n').reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / 32)), 0);
+    const bounds = {
+      type: 'text',
+      x: point.x,
+      y: point.y,
+      width: 260,
+      height: Math.min(Math.max(60, lineCount * 21 + 26), 600)
+    };
+    const parent = findContainingFolder(bounds, itemsRef.current);
+    const [newItem] = await insertItems([{ ...bounds, content: text, parent_id: parent ? parent.id : null }]);
+
+    addLocalItems([newItem]);
+    recordInsert('Paste text', [newItem]);
+  };
+
+  // Fetch (or re-fetch) a link card's title, description and images
+  const refreshLinkMeta = async (item) => {
+    const meta = await unfurlLink(item.content);
+    const update = { id: item.id, link_meta: meta };
+
+    // First preview with an image: make room for it, unless a group resize
+    // already changed the card's height
+    if (!item.link_meta && meta.image && item.height === LINK_CARD_SIZE.height) {
+      update.height = 260;
+    }
+
+    await applyUpdates([update]);
+  };
+
+  const createLinkItem = async (url, point) => {
+    const bounds = { type: 'link', x: point.x, y: point.y, ...LINK_CARD_SIZE };
+    const parent = findContainingFolder(bounds, itemsRef.current);
+    const [newItem] = await insertItems([{ ...bounds, content: url, parent_id: parent ? parent.id : null }]);
+
+    addLocalItems([newItem]);
+    recordInsert('Add link', [newItem]);
+    refreshLinkMeta(newItem);
+  };
+
+  // Copied items plus everything inside copied folders and the arrows between
+  // them, bottom first
+  const getCopyRows = (selection) => {
+    const current = itemsRef.current;
+    const ids = new Set(selection.map(i => i.id));
+    selection
+      .filter(i => i.type === 'rectangle')
+      .forEach(folder => getDescendantIds(folder.id, current).forEach(id => ids.add(id)));
+    getConnectorsBetween([...ids], current).forEach(c => ids.add(c.id));
+
+    return current.filter(i => ids.has(i.id)).sort(compareZ);
+  };
+
+  const getClipboardTargets = () => (
+    clipboardTargetsRef.current || itemsRef.current.filter(i => selectedIdsRef.current.includes(i.id))
+  );
+
+  const handleCopy = (e) => {
+    const targets = getClipboardTargets();
+    if (targets.length === 0) return;
+
+    e.preventDefault();
+    writeItemsToClipboard(e.clipboardData, getCopyRows(targets));
+  };
+
+  // Copy, then delete without asking (undo brings it back). Removed files are
+  // kept in memory so pasting them here can still make new copies.
+  const handleCut = async (e) => {
+    const targets = getClipboardTargets();
+    if (targets.length === 0) return;
 
+    e.preventDefault();
+    writeItemsToClipboard(e.clipboardData, getCopyRows(targets));
+    cutBlobsRef.current = await executeDelete(targets);
+  };
+
+  // The context menu has no clipboard event of its own, so it triggers one
+  const copyItemsToClipboard = (targets, command) => {
+    clipboardTargetsRef.current = targets;
     try {
-      // Convert screen coordinates to world coordinates
-      const rect = viewportRef.current.getBoundingClientRect();
-      const screenX = e.clientX - rect.left;
-      const screenY = e.clientY - rect.top;
+      document.execCommand(command);
+    } finally {
+      clipboardTargetsRef.current = null;
+    }
+  };
 
-      const worldX = (screenX - window.innerWidth / 2) / camera.zoom + camera.x;
-      const worldY = (screenY - window.innerHeight / 2) / camera.zoom + camera.y;
+  // Paste a copy next to the originals, offset by one grid step
+  const duplicateItems = async (targets) => {
+    const rows = getCopyRows(targets);
+    const cards = rows.filter(row => !isConnector(row));
+    if (cards.length === 0) return false; // A lone arrow has nothing to attach to
 
-      // Upload file to Supabase Storage
-      const filePath = `${Date.now()}_${file.name}`;
-      const { error: uploadError } = await supabase.storage
-        .from('files')
-        .upload(filePath, file);
+    const bounds = getBounds(cards);
+    const point = {
+      x: bounds.x + bounds.width / 2 + DUPLICATE_OFFSET,
+      y: bounds.y + bounds.height / 2 + DUPLICATE_OFFSET
+    };
 
-      if (uploadError) {
-        console.error('Upload error:', uploadError);
-        alert('Failed to upload file: ' + uploadError.message);
-        return;
+    try {
+      await pasteItems(createClipboardBundle(rows), point, rows.length === 1 ? `Duplicate ${rows[0].type}` : 'Duplicate items');
+    } catch (err) {
+      console.error('Error duplicating items:', err);
+      alert('Failed to duplicate items: ' + err.message);
+    }
+  };
+
+  const handlePaste = async (e) => {
+    const content = readClipboard(e.clipboardData);
+    if (!content) return;
+
+    e.preventDefault();
+    const point = getPastePoint();
+
+    try {
+      if (content.kind === 'items') {
+        await pasteItems(content.bundle, point);
+      } else if (content.kind === 'files') {
+        startUploads(content.files, point);
+      } else if (content.kind === 'url') {
+        await createLinkItem(content.url, point);
+      } else {
+        await pasteText(content.text, point);
       }
+    } catch (err) {
+      console.error('Error pasting:', err);
+      alert('Failed to paste: ' + err.message);
+    }
+  };
+  clipboardHandlersRef.current = { copy: handleCopy, cut: handleCut, paste: handlePaste };
 
-      // Get public URL
-      const { data: urlData } = supabase.storage
-        .from('files')
-        .getPublicUrl(filePath);
-
-      // Create database record
-      const { data: newItem, error: dbError } = await supabase
-        .from('items')
-        .insert({
-          type: 'file',
-          x: worldX,
-          y: worldY,
-          width: 180,
-          height: 120,
-          content: urlData.publicUrl,
-          file_name: file.name
-        })
-        .select()
-        .single();
-
-      if (dbError) {
-        console.error('Database error:', dbError);
-        alert('Failed to save file to database: ' + dbError.message);
-        return;
+  // Download the whole board (items + embedded files) as one JSON file
+  const handleExportBoard = async () => {
+    try {
+      const bundle = await createBundle(itemsRef.current, downloadFile);
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `omnispace-board-${new Date().toISOString().slice(0, 10)}.json`);
+    } catch (err) {
+      console.error('Error exporting board:', err);
+      alert('Failed to export board: ' + err.message);
+    }
+  };
+
+  // Render the board, the visible area or one folder to SVG/PNG
+  const handleExportImage = async ({ scope, format, scale, background }) => {
+    try {
+      let exported = itemsRef.current;
+      let bounds;
+
+      if (scope === 'folder') {
+        const folder = exportImage.folder;
+        const ids = [folder.id, ...getDescendantIds(folder.id, exported)];
+        exported = [...exported.filter(i => ids.includes(i.id)), ...getConnectorsBetween(ids, exported)];
+        bounds = getExportBounds(exported);
+      } else if (scope === 'viewport') {
+        bounds = {
+          x: camera.x - window.innerWidth / 2 / camera.zoom,
+          y: camera.y - window.innerHeight / 2 / camera.zoom,
+          width: window.innerWidth / camera.zoom,
+          height: window.innerHeight / camera.zoom
+        };
+        exported = exported.filter(i => isConnector(i) || intersects(i, bounds));
+      } else {
+        if (!exported.some(i => !isConnector(i))) {
+          alert('The board is empty');
+          return;
+        }
+        bounds = getExportBounds(exported);
       }
 
-      // Add to local state
-      setItems([...items, newItem]);
-      console.log('File uploaded successfully:', file.name);
+      const svg = renderSvg(exported, bounds, { background });
+      const baseName = `omnispace-${scope}-${new Date().toISOString().slice(0, 10)}`;
 
+      if (format === 'svg') {
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${baseName}.svg`);
+      } else {
+        downloadBlob(await svgToPng(svg, bounds.width, bounds.height, scale), `${baseName}.png`);
+      }
+      setExportImage(null);
     } catch (err) {
-      console.error('Unexpected error:', err);
-      alert('Failed to upload file');
+      console.error('Error exporting image:', err);
+      alert('Failed to export image: ' + err.message);
+    }
+  };
+
+  // Add a previously exported board next to the current items
+  const handleImportBoard = async (file) => {
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch {
+        throw new Error('File is not valid JSON');
+      }
+
+      const errors = validateBundle(bundle);
+      if (errors.length > 0) {
+        throw new Error('Invalid board file:\n' + errors.slice(0, 10).join('\n'));
+      }
+
+      const { rows, uploads } = prepareImport(bundle, {
+        uploadPathFor: (path, name) => `${Date.now()}_${crypto.randomUUID().slice(0, 8)}_${name || path}`,
+        getPublicUrl: backend.blobs.getPublicUrl
+      });
+
+      for (const path of Object.keys(uploads)) {
+        await uploadFile(path, uploads[path]);
+      }
+      const created = await insertItems(rows);
+
+      addLocalItems(created);
+      recordInsert('Import board', created, uploads);
+      setSelectedIds(created.map(i => i.id));
+    } catch (err) {
+      console.error('Error importing board:', err);
+      alert('Failed to import board: ' + err.message);
     }
   };
 
   // Wheel handler for zooming (centered on cursor)
   const handleWheel = (e) => {
+    // Let text file previews scroll instead of zooming the canvas
+    const scrollable = e.target.closest?.('.file-text-preview');
+    if (scrollable && !e.ctrlKey && scrollable.scrollHeight > scrollable.clientHeight) {
+      return;
+    }
+
     e.preventDefault(); // Prevent page scroll
 
+    // The user takes over from any fly-to animation
+    if (stopCameraAnimationRef.current) {
+      stopCameraAnimationRef.current();
+    }
+
     // Get mouse position relative to viewport
     const rect = viewportRef.current.getBoundingClientRect();
     const mouseX = e.clientX - rect.left;
@@ -297,7 +1223,7 @@ function App() {
 
     // Calculate new zoom (0.9 = zoom out, 1.1 = zoom in)
     const zoomDelta = e.deltaY > 0 ? 0.9 : 1.1;
-    const newZoom = Math.max(0.1, Math.min(5, camera.zoom * zoomDelta));
+    const newZoom = clampZoom(camera.zoom * zoomDelta);
 
     // Adjust camera so the world point stays under the cursor
     const newCamX = worldX - (mouseX - window.innerWidth / 2) / newZoom;
@@ -306,17 +1232,21 @@ function App() {
     setCamera({ x: newCamX, y: newCamY, zoom: newZoom });
   };
 
-  // Attach wheel listener with passive: false (needed for preventDefault)
+  windowHandlersRef.current.handleWheel = handleWheel;
+
+  // Attach wheel listener once with passive: false (needed for preventDefault);
+  // it always calls the latest handleWheel, so camera changes don't re-attach it
   useEffect(() => {
     const viewport = viewportRef.current;
     if (!viewport) return;
 
-    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    const onWheel = (e) => windowHandlersRef.current.handleWheel(e);
+    viewport.addEventListener('wheel', onWheel, { passive: false });
 
     return () => {
-      viewport.removeEventListener('wheel', handleWheel);
+      viewport.removeEventListener('wheel', onWheel);
     };
-  }, [camera]); // Re-attach when camera changes (needed for closure)
+  }, []);
 
   // Auto-focus text input when editing starts
   useEffect(() => {
@@ -325,6 +1255,14 @@ function App() {
     }
   }, [editingText]);
 
+  // Grow the note editor with its content
+  useEffect(() => {
+    const textarea = textInputRef.current;
+    if (!textarea) return;
+    textarea.style.height = 'auto';
+    textarea.style.height = `${textarea.scrollHeight + 4}px`; // + top/bottom border
+  }, [textValue, editingText, textDimensions.width]);
+
   // Auto-focus rectangle title input when editing starts
   useEffect(() => {
     if (editingRectangleTitle && rectangleTitleInputRef.current) {
@@ -362,6 +1300,15 @@ function App() {
     setTextDimensions({ width: item.width, height: item.height });
   };
 
+  // Tick or untick a Markdown task without opening the editor
+  const handleToggleTask = async (item, line) => {
+    const content = toggleTask(item.content, line);
+    if (content === item.content) return;
+
+    await applyUpdates([{ id: item.id, content }]);
+    recordUpdate('Toggle task', [{ id: item.id, content: item.content }], [{ id: item.id, content }]);
+  };
+
   // Handler for editing rectangle titles
   const handleEditRectangleTitle = (item) => {
     setEditingRectangleTitle({
@@ -372,6 +1319,50 @@ function App() {
     setRectangleTitleValue(item.content || '');
   };
 
+  const createConnector = async (sourceId, targetId) => {
+    const [newItem] = await insertItems([{
+      type: 'connector',
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+      source_id: sourceId,
+      target_id: targetId,
+      connector_style: DEFAULT_CONNECTOR_STYLE,
+      parent_id: null
+    }]);
+
+    addLocalItems([newItem]);
+    recordInsert('Connect items', [newItem]);
+    setSelectedIds([newItem.id]);
+  };
+
+  const handleSelectConnector = (id, shiftKey) => {
+    if (shiftKey) {
+      setSelectedIds(selectedIds.includes(id)
+        ? selectedIds.filter(selectedId => selectedId !== id)
+        : [...selectedIds, id]);
+    } else {
+      setSelectedIds([id]);
+    }
+  };
+
+  // Change a connector's label or style, as one undoable step
+  const updateConnector = async (connector, fields) => {
+    const before = { id: connector.id };
+    Object.keys(fields).forEach(key => { before[key] = connector[key] ?? null; });
+    const after = { id: connector.id, ...fields };
+
+    await applyUpdates([after]);
+    recordUpdate('Edit connector', [before], [after]);
+  };
+
+  const handleEditConnectorLabel = (connector) => {
+    const label = prompt('Connector label', connector.content || '');
+    if (label === null) return;
+    updateConnector(connector, { content: label.trim() || null });
+  };
+
   // Context menu handler
   const handleContextMenu = (e, item) => {
     setContextMenu({
@@ -381,63 +1372,165 @@ function App() {
     });
   };
 
-  // Show delete confirmation modal
-  const handleDeleteItem = (item) => {
-    setConfirmDelete(item);
-  };
+  // Show delete confirmation modal (right-clicking a selected item deletes the selection)
+  const requestDelete = (toDelete) => {
+    const ids = toDelete.map(i => i.id);
+    const nestedIds = toDelete
+      .filter(i => i.type === 'rectangle')
+      .flatMap(folder => getDescendantIds(folder.id, items))
+      .filter(id => !ids.includes(id));
 
-  // Execute delete after confirmation
-  const executeDelete = async (item) => {
-    try {
-      // If it's a file, delete from storage first
-      if (item.type === 'file' && item.content) {
-        const urlParts = item.content.split('/');
-        const fileName = urlParts[urlParts.length - 1];
+    setConfirmDelete({ items: toDelete, nestedCount: new Set(nestedIds).size });
+  };
 
-        const { error: storageError } = await supabase.storage
-          .from('files')
-          .remove([fileName]);
+  // Context menu actions on a selected item apply to the whole selection
+  const getContextTargets = (item) => (
+    selectedIds.length > 1 && selectedIds.includes(item.id)
+      ? items.filter(i => selectedIds.includes(i.id))
+      : [item]
+  );
 
-        if (storageError) {
-          console.error('Error deleting file from storage:', storageError);
-        }
-      }
+  const handleDeleteItem = (item) => {
+    requestDelete(getContextTargets(item));
+  };
 
-      // Delete from database
-      const { error } = await supabase
-        .from('items')
-        .delete()
-        .eq('id', item.id);
+  // Merge style fields into every selected note and folder (null resets them)
+  const handleStyleChange = async (fields) => {
+    const targets = items.filter(i => selectedIds.includes(i.id) && isStyleable(i));
+    const after = targets.map(item => ({
+      id: item.id,
+      style: fields ? { ...(item.style || {}), ...pickStyleFields(item, fields) } : null
+    }));
+    const before = targets.map(item => ({ id: item.id, style: item.style ?? null }));
+
+    await applyUpdates(after);
+    recordUpdate('Change style', before, after);
+  };
 
-      if (error) {
-        console.error('Error deleting item:', error);
-        alert('Failed to delete item: ' + error.message);
-        return;
-      }
+  // Bring to front / forward, send backward / to back (see REORDER_ACTIONS)
+  const reorderItems = async (targets, action) => {
+    const after = getReorderUpdates(targets, items, action);
+    if (after.length === 0) return false;
+    const before = after.map(u => ({ id: u.id, z_index: itemsById.get(u.id).z_index ?? null }));
 
-      // Remove from local state
-      setItems(items.filter(i => i.id !== item.id));
-      console.log('Item deleted successfully');
+    await applyUpdates(after);
+    recordUpdate(REORDER_ACTIONS[action], before, after);
+  };
 
-    } catch (err) {
-      console.error('Unexpected error:', err);
-      alert('Failed to delete item');
-    } finally {
-      setConfirmDelete(null);
+  // Execute delete after confirmation. Folder contents are either deleted too
+  // or handed to the nearest surviving ancestor folder (keepContents).
+  // Resolves to the backed-up file blobs.
+  const executeDelete = async (selection, { keepContents = false } = {}) => {
+    const itemsById = new Map(items.map(i => [i.id, i]));
+    const selectedIdList = selection.map(i => i.id);
+    const descendantIds = selection
+      .filter(i => i.type === 'rectangle')
+      .flatMap(folder => getDescendantIds(folder.id, items));
+
+    const removedIds = keepContents
+      ? selectedIdList
+      : [...new Set([...selectedIdList, ...descendantIds])];
+
+    // Arrows can't outlive either end; they go last so undo restores their endpoints first
+    const connectorIds = getAttachedConnectorIds(removedIds, items).filter(id => !removedIds.includes(id));
+    const ids = [...removedIds, ...connectorIds];
+    const toDelete = ids.map(id => itemsById.get(id)).filter(Boolean);
+
+    // Orphaned children move up to the closest folder that survives
+    const orphans = keepContents
+      ? items.filter(i => !ids.includes(i.id) && ids.includes(i.parent_id))
+      : [];
+    const reparentUpdates = orphans.map(i => ({
+      id: i.id,
+      parent_id: findSurvivingAncestor(i.parent_id, ids, itemsById)
+    }));
+    const previousParents = orphans.map(i => ({ id: i.id, parent_id: i.parent_id }));
+
+    setConfirmDelete(null);
+    const blobs = {};
+
+    // Keep a copy of any uploaded files for undo, then delete them from storage
+    const filePaths = toDelete.map(getStoragePath).filter(Boolean);
+    for (const filePath of filePaths) {
+      try {
+        blobs[filePath] = await downloadFile(filePath);
+      } catch (downloadError) {
+        console.error('Could not back up file for undo:', downloadError);
+      }
     }
+    await removeFiles(filePaths);
+
+    // Re-parent first so no row is left pointing at a deleted folder
+    await applyUpdates(reparentUpdates);
+    await deleteItems(ids);
+
+    // Remove from local state
+    removeLocalItems(ids);
+    historyRef.current.push({
+      label: toDelete.length === 1 ? `Delete ${toDelete[0].type}` : `Delete ${toDelete.length} items`,
+      undo: async () => {
+        await restoreRows(toDelete, blobs);
+        await applyUpdates(previousParents);
+      },
+      redo: async () => {
+        await applyUpdates(reparentUpdates);
+        await removeRows(toDelete);
+      }
+    });
+    console.log(`Deleted ${ids.length} item(s) successfully`);
+    return blobs;
   };
 
   // Drag handlers for repositioning items
-  const handleItemDragStart = (itemId, mouseX, mouseY) => {
+  const handleItemDragStart = (itemId, mouseX, mouseY, shiftKey) => {
     const item = items.find(i => i.id === itemId);
     if (!item) return;
 
+    // Drawing tools draw (or erase) over items instead of moving them
+    if (startFreehand(mouseX, mouseY)) return;
+
+    // With the connector tool, pressing on an item starts an arrow from it
+    if (tool === 'connector') {
+      setConnecting({ sourceId: itemId, point: screenToWorld(mouseX, mouseY) });
+      return;
+    }
+
+    // Shift-click toggles the item in the selection without dragging
+    if (shiftKey) {
+      setSelectedIds(selectedIds.includes(itemId)
+        ? selectedIds.filter(id => id !== itemId)
+        : [...selectedIds, itemId]);
+      return;
+    }
+
+    // Dragging a selected item moves the whole selection (arrows just follow)
+    const dragIds = selectedIds.includes(itemId)
+      ? selectedIds.filter(id => !isConnector(itemsById.get(id) || {}))
+      : [itemId];
+    if (!selectedIds.includes(itemId)) {
+      setSelectedIds([itemId]);
+    }
+
+    // Folders carry their whole subtree
+    const nestedIds = new Set(
+      items
+        .filter(i => dragIds.includes(i.id) && i.type === 'rectangle')
+        .flatMap(folder => getDescendantIds(folder.id, items))
+    );
+    const movingIds = new Set([...dragIds, ...nestedIds]);
+
+    const originals = {};
+    items
+      .filter(i => movingIds.has(i.id))
+      .forEach(i => { originals[i.id] = { x: i.x, y: i.y }; });
+
     setDraggingItem({
       id: itemId,
       startX: mouseX,
       startY: mouseY,
-      originalX: item.x,
-      originalY: item.y
+      originals: originals,
+      rootIds: dragIds.filter(id => !nestedIds.has(id)), // may change folder on drop
+      box: getBounds(items.filter(i => dragIds.includes(i.id))) // what snaps
     });
   };
 
@@ -450,64 +1543,173 @@ function App() {
       id: itemId,
       startX: mouseX,
       startY: mouseY,
-      originalWidth: item.width,
-      originalHeight: item.height,
+      original: { x: item.x, y: item.y, width: item.width, height: item.height },
+      // Image, PDF and video cards keep the shape of their content
+      keepsAspect: item.type === 'file' && ['image', 'pdf', 'video'].includes(getFileKind(item)),
       direction: direction
     });
   };
 
+  // Shift locks the aspect ratio (or, for images, unlocks it); Alt resizes
+  // around the center; Ctrl turns snapping off
   const handleItemResizeMove = (e) => {
     if (!resizingItem) return;
 
-    const deltaX = e.clientX - resizingItem.startX;
-    const deltaY = e.clientY - resizingItem.startY;
-
-    // Convert screen delta to world delta (divide by zoom)
-    const worldDeltaX = deltaX / camera.zoom;
-    const worldDeltaY = deltaY / camera.zoom;
+    const item = itemsById.get(resizingItem.id);
+    if (!item) return;
 
-    // Calculate new dimensions based on resize direction
-    let newWidth = resizingItem.originalWidth;
-    let newHeight = resizingItem.originalHeight;
+    const { original, direction } = resizingItem;
+    const minSize = getMinSize(item);
+    const limits = {
+      aspectRatio: resizingItem.keepsAspect !== e.shiftKey ? original.width / original.height : null,
+      fromCenter: e.altKey,
+      minWidth: minSize.width,
+      minHeight: minSize.height
+    };
 
-    if (resizingItem.direction === 'se') {
-      newWidth = Math.max(100, resizingItem.originalWidth + worldDeltaX);
-      newHeight = Math.max(60, resizingItem.originalHeight + worldDeltaY);
+    // Convert screen delta to world delta (divide by zoom)
+    const worldDeltaX = (e.clientX - resizingItem.startX) / camera.zoom;
+    const worldDeltaY = (e.clientY - resizingItem.startY) / camera.zoom;
+    let box = resizeBox(original, direction, worldDeltaX, worldDeltaY, limits);
+
+    // Snap the moving edges; locked shapes snap one axis and derive the other.
+    // Resizing around the center moves both edges, so it doesn't snap.
+    const options = getSnapOptions(e);
+    if (options && !limits.fromCenter) {
+      const edges = getResizeEdges(direction);
+      const { aspectRatio } = limits;
+      const snapEdges = aspectRatio
+        ? { x: edges.x, y: edges.x ? null : edges.y }
+        : edges;
+      const snap = snapResize(box, snapEdges, getSnapCandidates([item.id]), options);
+      const size = !aspectRatio
+        ? snap.box
+        : snapEdges.x
+          ? { width: snap.box.width, height: snap.box.width / aspectRatio }
+          : { width: snap.box.height * aspectRatio, height: snap.box.height };
+      box = placeBox(original, direction, clampSize(size, limits));
+      setSnapGuides(snap);
+    } else {
+      setSnapGuides(null);
     }
 
-    // Update item dimensions in local state (immediate feedback)
-    setItems(items.map(item =>
-      item.id === resizingItem.id
-        ? { ...item, width: newWidth, height: newHeight }
-        : item
-    ));
+    // Update item bounds in local state (immediate feedback)
+    const update = { id: resizingItem.id, ...box };
+    patchLocalItems([update]);
+    realtimeRef.current?.sendLivePatch([update]);
   };
 
   const handleItemResizeEnd = async () => {
     if (!resizingItem) return;
+    setSnapGuides(null);
 
     const item = items.find(i => i.id === resizingItem.id);
-    if (!item) return;
-
-    // Save final dimensions to database
-    try {
-      const { error } = await supabase
-        .from('items')
-        .update({ width: item.width, height: item.height })
-        .eq('id', resizingItem.id);
+    if (!item) {
+      // Deleted mid-resize (e.g. by a collaborator)
+      setResizingItem(null);
+      return;
+    }
 
-      if (error) {
-        console.error('Error updating item dimensions:', error);
-      } else {
-        console.log('Item dimensions updated successfully');
-      }
-    } catch (err) {
-      console.error('Failed to update dimensions:', err);
+    const { original } = resizingItem;
+    if (['x', 'y', 'width', 'height'].every(key => item[key] === original[key])) {
+      setResizingItem(null);
+      return;
     }
 
+    // Save final bounds to database
+    const after = { id: item.id, x: item.x, y: item.y, width: item.width, height: item.height };
+    await updateItems([after]);
+    recordUpdate('Resize item', [{ id: item.id, ...original }], [after]);
+    console.log('Item dimensions updated successfully');
+
     setResizingItem(null);
   };
 
+  // Group resize: scale every selected item relative to the selection's top-left corner
+  const handleGroupResizeStart = (mouseX, mouseY) => {
+    const selected = items.filter(i => selectedIds.includes(i.id) && !isConnector(i));
+    if (selected.length === 0) return;
+
+    // Folders carry their whole subtree, scaled along with them
+    const nestedIds = new Set(
+      selected
+        .filter(i => i.type === 'rectangle')
+        .flatMap(folder => getDescendantIds(folder.id, items))
+    );
+
+    const originals = {};
+    items
+      .filter(i => !isConnector(i) && (selectedIds.includes(i.id) || nestedIds.has(i.id)))
+      .forEach(i => {
+        originals[i.id] = { x: i.x, y: i.y, width: i.width, height: i.height };
+      });
+
+    setResizingGroup({
+      startX: mouseX,
+      startY: mouseY,
+      bounds: getBounds(selected),
+      originals: originals
+    });
+  };
+
+  const handleGroupResizeMove = (e) => {
+    if (!resizingGroup) return;
+
+    const { bounds, originals } = resizingGroup;
+    let newWidth = Math.max(20, bounds.width + (e.clientX - resizingGroup.startX) / camera.zoom);
+    let newHeight = Math.max(20, bounds.height + (e.clientY - resizingGroup.startY) / camera.zoom);
+
+    const options = getSnapOptions(e);
+    if (options) {
+      const snap = snapResize(
+        { ...bounds, width: newWidth, height: newHeight },
+        { x: 'end', y: 'end' },
+        getSnapCandidates(Object.keys(originals)),
+        options
+      );
+      newWidth = Math.max(20, snap.box.width);
+      newHeight = Math.max(20, snap.box.height);
+      setSnapGuides(snap);
+    } else {
+      setSnapGuides(null);
+    }
+
+    const scaleX = newWidth / bounds.width;
+    const scaleY = newHeight / bounds.height;
+
+    const updates = Object.keys(originals).map(id => ({
+      id,
+      x: bounds.x + (originals[id].x - bounds.x) * scaleX,
+      y: bounds.y + (originals[id].y - bounds.y) * scaleY,
+      width: originals[id].width * scaleX,
+      height: originals[id].height * scaleY
+    }));
+    patchLocalItems(updates);
+    realtimeRef.current?.sendLivePatch(updates);
+  };
+
+  const handleGroupResizeEnd = async () => {
+    if (!resizingGroup) return;
+    setSnapGuides(null);
+
+    const ids = Object.keys(resizingGroup.originals);
+    const resized = items.filter(i => ids.includes(i.id));
+    const previous = ids.map(id => ({ id, ...resizingGroup.originals[id] }));
+    const next = resized.map(i => ({ id: i.id, x: i.x, y: i.y, width: i.width, height: i.height }));
+
+    setResizingGroup(null);
+
+    const unchanged = resized.every(i =>
+      i.width === resizingGroup.originals[i.id].width &&
+      i.height === resizingGroup.originals[i.id].height
+    );
+    if (unchanged) return;
+
+    await updateItems(next);
+    recordUpdate(`Resize ${next.length} items`, previous, next);
+    console.log(`Resized ${next.length} item(s) successfully`);
+  };
+
   const handleItemDragMove = (e) => {
     if (!draggingItem) return;
 
@@ -515,113 +1717,150 @@ function App() {
     const deltaY = e.clientY - draggingItem.startY;
 
     // Convert screen delta to world delta (divide by zoom)
-    const worldDeltaX = deltaX / camera.zoom;
-    const worldDeltaY = deltaY / camera.zoom;
+    let worldDeltaX = deltaX / camera.zoom;
+    let worldDeltaY = deltaY / camera.zoom;
+
+    // Nudge the dragged selection onto nearby edges, spacing or the grid
+    const { originals, box } = draggingItem;
+    const options = getSnapOptions(e);
+    if (options) {
+      const snap = snapMove(
+        { ...box, x: box.x + worldDeltaX, y: box.y + worldDeltaY },
+        getSnapCandidates(Object.keys(originals)),
+        options
+      );
+      worldDeltaX += snap.dx;
+      worldDeltaY += snap.dy;
+      setSnapGuides(snap);
+    } else {
+      setSnapGuides(null);
+    }
 
-    // Update item position in local state (immediate feedback)
-    setItems(items.map(item =>
-      item.id === draggingItem.id
-        ? {
-            ...item,
-            x: draggingItem.originalX + worldDeltaX,
-            y: draggingItem.originalY + worldDeltaY
-          }
-        : item
-    ));
+    // Update positions of everything being dragged (immediate feedback)
+    const positions = Object.keys(originals).map(id => ({
+      id,
+      x: originals[id].x + worldDeltaX,
+      y: originals[id].y + worldDeltaY
+    }));
+    patchLocalItems(positions);
+
+    // Let collaborators watch the drag before it is saved
+    realtimeRef.current?.sendLivePatch(positions);
   };
 
   const handleItemDragEnd = async () => {
     if (!draggingItem) return;
+    setSnapGuides(null);
 
     const item = items.find(i => i.id === draggingItem.id);
-    if (!item) return;
-
-    // Calculate how much the item moved
-    const deltaX = item.x - draggingItem.originalX;
-    const deltaY = item.y - draggingItem.originalY;
-
-    // If this is a rectangle, find all items inside it and move them too
-    let itemsToUpdate = [{ id: item.id, x: item.x, y: item.y }];
-
-    if (item.type === 'rectangle') {
-      // Find items inside the rectangle (using ORIGINAL rectangle position)
-      const insideItems = items.filter(i => {
-        if (i.id === item.id || i.type === 'rectangle') return false;
-
-        // Check if item center is inside the original rectangle bounds
-        const itemCenterX = i.x + (i.width || 0) / 2;
-        const itemCenterY = i.y + (i.height || 0) / 2;
-
-        const rectLeft = draggingItem.originalX;
-        const rectRight = draggingItem.originalX + item.width;
-        const rectTop = draggingItem.originalY;
-        const rectBottom = draggingItem.originalY + item.height;
+    if (!item) {
+      // Deleted mid-drag (e.g. by a collaborator)
+      setDraggingItem(null);
+      return;
+    }
 
-        return itemCenterX >= rectLeft && itemCenterX <= rectRight &&
-               itemCenterY >= rectTop && itemCenterY <= rectBottom;
-      });
+    // Calculate how much the dragged item moved
+    const { originals } = draggingItem;
+    const deltaX = item.x - originals[item.id].x;
+    const deltaY = item.y - originals[item.id].y;
 
-      // Add these items to the update list with their new positions
-      insideItems.forEach(insideItem => {
-        const newX = insideItem.x + deltaX;
-        const newY = insideItem.y + deltaY;
-        itemsToUpdate.push({ id: insideItem.id, x: newX, y: newY });
-
-        // Update local state immediately
-        setItems(prevItems => prevItems.map(prevItem =>
-          prevItem.id === insideItem.id
-            ? { ...prevItem, x: newX, y: newY }
-            : prevItem
-        ));
-      });
+    // A plain click isn't a move - nothing to save or undo
+    if (deltaX === 0 && deltaY === 0) {
+      setDraggingItem(null);
+      return;
     }
 
-    // Save all positions to database
-    try {
-      for (const updateItem of itemsToUpdate) {
-        const { error } = await supabase
-          .from('items')
-          .update({ x: updateItem.x, y: updateItem.y })
-          .eq('id', updateItem.id);
-
-        if (error) {
-          console.error('Error updating item position:', error);
+    // Everything that moved, including folder contents, goes out in one batch
+    const movedIds = Object.keys(originals);
+    const itemsToUpdate = [];
+    const previousPositions = [];
+
+    items.filter(i => movedIds.includes(i.id)).forEach(i => {
+      const update = { id: i.id, x: i.x, y: i.y };
+      const previous = { id: i.id, ...originals[i.id] };
+
+      // Dropped items are adopted by the folder under them (or released)
+      if (draggingItem.rootIds.includes(i.id)) {
+        const parent = findContainingFolder(i, items, movedIds);
+        const parentId = parent ? parent.id : null;
+        if (parentId !== (i.parent_id ?? null)) {
+          update.parent_id = parentId;
+          previous.parent_id = i.parent_id ?? null;
         }
       }
 
-      console.log(`Updated ${itemsToUpdate.length} item(s) successfully`);
-    } catch (err) {
-      console.error('Failed to update positions:', err);
-    }
+      itemsToUpdate.push(update);
+      previousPositions.push(previous);
+    });
+
+    // Save all positions to database (undo moves folder contents back too)
+    await applyUpdates(itemsToUpdate);
+    recordUpdate(
+      movedIds.length > 1 ? `Move ${movedIds.length} items` : 'Move item',
+      previousPositions,
+      itemsToUpdate
+    );
+    console.log(`Updated ${itemsToUpdate.length} item(s) successfully`);
 
     setDraggingItem(null);
   };
 
+  Object.assign(windowHandlersRef.current, {
+    handleItemDragMove,
+    handleItemDragEnd,
+    handleItemResizeMove,
+    handleItemResizeEnd,
+    handleGroupResizeMove,
+    handleGroupResizeEnd
+  });
+
+  // Gesture listeners are attached once per gesture and call the latest
+  // handlers, so a mousemove that updates items doesn't re-add them
+
   // Attach drag move/end listeners when dragging
   useEffect(() => {
-    if (draggingItem) {
-      window.addEventListener('mousemove', handleItemDragMove);
-      window.addEventListener('mouseup', handleItemDragEnd);
+    if (!draggingItem) return;
 
-      return () => {
-        window.removeEventListener('mousemove', handleItemDragMove);
-        window.removeEventListener('mouseup', handleItemDragEnd);
-      };
-    }
-  }, [draggingItem, camera.zoom, items]);
+    const onMove = (e) => windowHandlersRef.current.handleItemDragMove(e);
+    const onEnd = () => windowHandlersRef.current.handleItemDragEnd();
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onEnd);
+
+    return () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onEnd);
+    };
+  }, [Boolean(draggingItem)]);
 
   // Attach resize move/end listeners when resizing
   useEffect(() => {
-    if (resizingItem) {
-      window.addEventListener('mousemove', handleItemResizeMove);
-      window.addEventListener('mouseup', handleItemResizeEnd);
+    if (!resizingItem) return;
 
-      return () => {
-        window.removeEventListener('mousemove', handleItemResizeMove);
-        window.removeEventListener('mouseup', handleItemResizeEnd);
-      };
-    }
-  }, [resizingItem, camera.zoom, items]);
+    const onMove = (e) => windowHandlersRef.current.handleItemResizeMove(e);
+    const onEnd = () => windowHandlersRef.current.handleItemResizeEnd();
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onEnd);
+
+    return () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onEnd);
+    };
+  }, [Boolean(resizingItem)]);
+
+  // Attach group resize listeners while scaling a selection
+  useEffect(() => {
+    if (!resizingGroup) return;
+
+    const onMove = (e) => windowHandlersRef.current.handleGroupResizeMove(e);
+    const onEnd = () => windowHandlersRef.current.handleGroupResizeEnd();
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onEnd);
+
+    return () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onEnd);
+    };
+  }, [Boolean(resizingGroup)]);
 
   // Save text note to database
   const saveTextNote = async () => {
@@ -631,74 +1870,65 @@ function App() {
       return;
     }
 
-    try {
-      // Get current textarea dimensions
-      const currentWidth = textInputRef.current?.offsetWidth || textDimensions.width;
-      const currentHeight = textInputRef.current?.offsetHeight || textDimensions.height;
-
-      // Enforce max dimensions
-      const maxWidth = 600;
-      const maxHeight = 400;
-      const finalWidth = Math.min(currentWidth, maxWidth);
-      const finalHeight = Math.min(currentHeight, maxHeight);
-
-      if (editingText.itemId) {
-        // Updating existing item
-        const { error } = await supabase
-          .from('items')
-          .update({
-            content: textValue,
-            width: finalWidth,
-            height: finalHeight
-          })
-          .eq('id', editingText.itemId);
-
-        if (error) {
-          console.error('Error updating text note:', error);
-          alert('Failed to update text note: ' + error.message);
-          return;
-        }
-
-        // Update local state
-        setItems(items.map(item =>
-          item.id === editingText.itemId
-            ? { ...item, content: textValue, width: finalWidth, height: finalHeight }
-            : item
-        ));
-        console.log('Text note updated successfully');
+    // The note is as wide as the editor and as tall as its rendered Markdown,
+    // unless an existing note was resized taller than that
+    const finalWidth = textInputRef.current?.offsetWidth || textDimensions.width;
+    const finalHeight = Math.max(
+      textPreviewRef.current?.offsetHeight || textDimensions.height,
+      editingText.itemId ? editingText.height : 0,
+      getMinSize({ type: 'text' }).height
+    );
+
+    if (editingText.itemId) {
+      // Updating existing item
+      const original = items.find(item => item.id === editingText.itemId);
+      const update = { id: editingText.itemId, content: textValue, width: finalWidth, height: finalHeight };
+      await updateItems([update]);
 
-      } else {
-        // Creating new item
-        const { data: newItem, error } = await supabase
-          .from('items')
-          .insert({
-            type: 'text',
-            x: editingText.x,
-            y: editingText.y,
-            width: finalWidth,
-            height: finalHeight,
-            content: textValue
-          })
-          .select()
-          .single();
-
-        if (error) {
-          console.error('Error saving text note:', error);
-          alert('Failed to save text note: ' + error.message);
-          return;
-        }
-
-        setItems([...items, newItem]);
-        console.log('Text note created successfully');
+      // Update local state
+      setItems(items.map(item =>
+        item.id === editingText.itemId
+          ? { ...item, content: textValue, width: finalWidth, height: finalHeight }
+          : item
+      ));
+      if (original) {
+        recordUpdate(
+          'Edit text note',
+          [{ id: original.id, content: original.content, width: original.width, height: original.height }],
+          [update]
+        );
       }
+      console.log('Text note updated successfully');
+
+    } else if (isUrl(textValue)) {
+      // A note that is just a URL becomes a clickable link card
+      await createLinkItem(textValue.trim(), { x: editingText.x, y: editingText.y });
+
+    } else {
+      // Creating new item
+      const bounds = { type: 'text', x: editingText.x, y: editingText.y, width: finalWidth, height: finalHeight };
+      const parent = findContainingFolder(bounds, items);
+      const [newItem] = await insertItems([{
+        ...bounds,
+        content: textValue,
+        parent_id: parent ? parent.id : null
+      }]);
+
+      addLocalItems([newItem]);
+      recordInsert('Create text note', [newItem]);
+      console.log('Text note created successfully');
+    }
 
-      setEditingText(null);
-      setTextValue('');
-      setTextDimensions({ width: 200, height: 60 }); // Reset to default
+    setEditingText(null);
+    setTextValue('');
+    setTextDimensions({ width: 200, height: 60 }); // Reset to default
+  };
 
-    } catch (err) {
-      console.error('Unexpected error:', err);
-      alert('Failed to save text note');
+  // Keep the preview as wide as the textarea after a manual resize
+  const handleTextEditorResize = (e) => {
+    const width = e.target.offsetWidth;
+    if (width !== textDimensions.width) {
+      setTextDimensions(prev => ({ ...prev, width }));
     }
   };
 
@@ -723,34 +1953,28 @@ function App() {
     }
 
     const title = rectangleTitleValue.trim();
+    const original = items.find(item => item.id === editingRectangleTitle.itemId);
 
-    try {
-      const { error } = await supabase
-        .from('items')
-        .update({ content: title || null })
-        .eq('id', editingRectangleTitle.itemId);
-
-      if (error) {
-        console.error('Error updating rectangle title:', error);
-        alert('Failed to update rectangle title: ' + error.message);
-        return;
-      }
+    await updateItems([{ id: editingRectangleTitle.itemId, content: title || null }]);
 
-      // Update local state
-      setItems(items.map(item =>
-        item.id === editingRectangleTitle.itemId
-          ? { ...item, content: title || null }
-          : item
-      ));
-      console.log('Rectangle title updated successfully');
+    if (original && (original.content || null) !== (title || null)) {
+      recordUpdate(
+        'Rename folder',
+        [{ id: original.id, content: original.content }],
+        [{ id: original.id, content: title || null }]
+      );
+    }
 
-      setEditingRectangleTitle(null);
-      setRectangleTitleValue('');
+    // Update local state
+    setItems(items.map(item =>
+      item.id === editingRectangleTitle.itemId
+        ? { ...item, content: title || null }
+        : item
+    ));
+    console.log('Rectangle title updated successfully');
 
-    } catch (err) {
-      console.error('Unexpected error:', err);
-      alert('Failed to update rectangle title');
-    }
+    setEditingRectangleTitle(null);
+    setRectangleTitleValue('');
   };
 
   // Handle keyboard input while editing rectangle title
@@ -767,16 +1991,115 @@ function App() {
   console.log("Camera:", camera);
   console.log("Items loaded:", items.length);
 
+  // Item id -> collaborator currently touching it (for colored outlines)
+  const collaboratorsByItem = {};
+  peers.forEach(peer => {
+    (peer.activeItemIds || []).forEach(id => {
+      collaboratorsByItem[id] = peer;
+    });
+  });
+
+  // Selected items that have bounds of their own (not connectors)
+  const selectedBoxes = items.filter(i => selectedIds.includes(i.id) && !isConnector(i));
+
+  // Only items near the viewport are mounted; far zoom swaps cards for plain blocks
+  const visibleBounds = getVisibleBounds(camera, window.innerWidth, window.innerHeight, CULL_MARGIN);
+  const simplified = camera.zoom < LOD_ZOOM;
+  const isOnScreen = (item) => intersects(item, visibleBounds);
+
+  const visibleRectangles = layeredItems.folders.filter(isOnScreen);
+  const visibleCards = layeredItems.cards.filter(item =>
+    isOnScreen(item) && !(erasing && erasing.ids.includes(item.id))
+  );
+  const visibleConnectors = layeredItems.connectors.filter(connector => {
+    const source = itemsById.get(connector.source_id);
+    const target = itemsById.get(connector.target_id);
+    return source && target && isOnScreen(getBounds([source, target]));
+  });
+
+  // Opens whichever editor the item has; false when it has nothing to rename
+  const renameItem = (item) => {
+    if (item.type === 'rectangle') {
+      handleEditRectangleTitle(item);
+    } else if (item.type === 'text') {
+      handleEditText(item);
+    } else if (isConnector(item)) {
+      handleEditConnectorLabel(item);
+    } else {
+      return false;
+    }
+  };
+
+  const selectedItems = items.filter(i => selectedIds.includes(i.id));
+  const styleableSelection = selectedItems.filter(isStyleable);
+
+  // The note being edited keeps its colors and font in the editor
+  const editingStyle = getItemStyle(itemsById.get(editingText?.itemId) || { type: 'text' });
+
+  // What each of APP_COMMANDS does; returning false leaves the key to the browser
+  commandHandlersRef.current = {
+    'view.zoomIn': () => zoomBy(ZOOM_STEP),
+    'view.zoomOut': () => zoomBy(1 / ZOOM_STEP),
+    'view.zoomToFit': zoomToFit,
+    'view.resetZoom': () => moveCamera({ ...camera, zoom: 1 }),
+    'view.search': () => setSearchOpen(true),
+    'view.commandPalette': () => setPaletteOpen(true),
+    'view.toggleGridSnap': () => setGridSnap(current => !current),
+    'tool.select': () => setTool('select'),
+    'tool.rectangle': () => setTool('rectangle'),
+    'tool.connector': () => setTool('connector'),
+    'tool.pen': () => setTool('pen'),
+    'tool.highlighter': () => setTool('highlighter'),
+    'tool.eraser': () => setTool('eraser'),
+    'edit.selectAll': () => setSelectedIds(items.map(i => i.id)),
+    'edit.rename': () => selectedItems.length === 1 && renameItem(selectedItems[0]),
+    'edit.delete': () => selectedItems.length > 0 && requestDelete(selectedItems),
+    'edit.duplicate': () => selectedItems.length > 0 && duplicateItems(selectedItems),
+    'arrange.front': () => reorderItems(selectedItems, 'front'),
+    'arrange.forward': () => reorderItems(selectedItems, 'forward'),
+    'arrange.backward': () => reorderItems(selectedItems, 'backward'),
+    'arrange.back': () => reorderItems(selectedItems, 'back'),
+    'edit.undo': () => historyRef.current.undo(),
+    'edit.redo': () => historyRef.current.redo(),
+    'edit.cancel': () => {
+      setTool('select');
+      setDrawStart(null);
+      setDrawCurrent(null);
+      setConnecting(null);
+      setDrawingStroke(null);
+      setErasing(null);
+      setSelectedIds([]);
+    },
+    'board.export': handleExportBoard,
+    'board.exportImage': () => setExportImage({ folder: null })
+  };
+
+  const handleRunCommand = (command) => {
+    setPaletteOpen(false);
+    command.run();
+  };
+
+  itemHandlersRef.current = {
+    onEditText: handleEditText,
+    onDragStart: handleItemDragStart,
+    onEditRectangleTitle: handleEditRectangleTitle,
+    onContextMenu: handleContextMenu,
+    onResizeStart: handleItemResizeStart,
+    onToggleTask: handleToggleTask
+  };
+
   // Calculate dot grid that moves with camera
-  const dotSize = 30 * camera.zoom; // Dots scale with zoom
-  const offsetX = ((-camera.x * camera.zoom + window.innerWidth / 2) % dotSize);
-  const offsetY = ((-camera.y * camera.zoom + window.innerHeight / 2) % dotSize);
+  // Each dot sits in the middle of its tile; shifting by half a tile puts the
+  // dots on world multiples of GRID_SIZE, where snap-to-grid lands
+  const dotSize = GRID_SIZE * camera.zoom; // Dots scale with zoom
+  const offsetX = ((-camera.x * camera.zoom + window.innerWidth / 2 - dotSize / 2) % dotSize);
+  const offsetY = ((-camera.y * camera.zoom + window.innerHeight / 2 - dotSize / 2) % dotSize);
 
   return (
     <>
       <div
         ref={viewportRef}
-        className={`viewport ${spaceHeldRef.current ? 'space-held' : ''} ${isPanning ? 'panning' : ''} ${tool === 'rectangle' ? 'rectangle-mode' : ''}`}
+        className={`viewport ${spaceHeldRef.current ? 'space-held' : ''} ${isPanning ? 'panning' : ''} ${tool === 'rectangle' ? 'rectangle-mode' : ''} ${isStrokeTool(tool) || tool === 'eraser' ? `${tool}-mode` : ''}`}
         style={{
           backgroundImage: 'radial-gradient(circle, #333 1px, transparent 1px)',
           backgroundSize: `${dotSize}px ${dotSize}px`,
@@ -785,6 +2108,7 @@ function App() {
         onMouseDown={handleMouseDown}
         onMouseMove={handleMouseMove}
         onMouseUp={handleMouseUp}
+        onMouseLeave={() => updatePresence({ cursor: null })}
         onDragOver={handleDragOver}
         onDrop={handleDrop}
         onDoubleClick={handleDoubleClick}
@@ -818,68 +2142,144 @@ function App() {
           {/* Render all items on the canvas - rectangles first, then others on top */}
           {!loading && (
             <>
-              {/* Render rectangles first (bottom layer) */}
-              {items.filter(item => item.type === 'rectangle').map(item => (
+              {/* Render rectangles first (bottom layer), nested folders above their parents */}
+              {visibleRectangles.map(item => (
                 <CanvasItem
                   key={item.id}
                   item={item}
-                  zoom={camera.zoom}
-                  onEditText={handleEditText}
-                  onDragStart={handleItemDragStart}
-                  onEditRectangleTitle={handleEditRectangleTitle}
-                  onContextMenu={handleContextMenu}
-                  onResizeStart={handleItemResizeStart}
+                  simplified={simplified}
+                  selected={selectedIds.includes(item.id)}
+                  highlighted={highlightedId === item.id}
+                  remoteMoving={remoteMovingIds.includes(item.id)}
+                  collaborator={collaboratorsByItem[item.id]}
+                  {...itemHandlers}
                 />
               ))}
 
+              {/* Arrows between items, above folders and below cards */}
+              <ConnectorLayer
+                connectors={visibleConnectors}
+                itemsById={itemsById}
+                selectedIds={selectedIds}
+                zoom={camera.zoom}
+                draft={connecting && itemsById.get(connecting.sourceId)
+                  ? { source: itemsById.get(connecting.sourceId), point: connecting.point }
+                  : null}
+                onSelect={handleSelectConnector}
+                onEditLabel={handleEditConnectorLabel}
+                onContextMenu={handleContextMenu}
+              />
+
               {/* Render other items on top */}
-              {items.filter(item => item.type !== 'rectangle').map(item => (
+              {visibleCards.map(item => (
                 <CanvasItem
                   key={item.id}
                   item={item}
-                  zoom={camera.zoom}
-                  onEditText={handleEditText}
-                  onDragStart={handleItemDragStart}
-                  onEditRectangleTitle={handleEditRectangleTitle}
-                  onContextMenu={handleContextMenu}
-                  onResizeStart={handleItemResizeStart}
+                  simplified={simplified}
+                  selected={selectedIds.includes(item.id)}
+                  highlighted={highlightedId === item.id}
+                  remoteMoving={remoteMovingIds.includes(item.id)}
+                  collaborator={collaboratorsByItem[item.id]}
+                  {...itemHandlers}
                 />
               ))}
             </>
           )}
 
-          {/* Text input for creating/editing text notes */}
+          {/* Text input for creating/editing text notes, with a live Markdown preview */}
           {editingText && (
-            <textarea
-              ref={textInputRef}
-              className="text-input"
+            <div
+              className="text-editor"
+              style={{ left: editingText.x, top: editingText.y, width: textDimensions.width }}
+            >
+              <textarea
+                ref={textInputRef}
+                className="text-input"
+                style={{
+                  width: '100%',
+                  minWidth: 120,
+                  minHeight: 60,
+                  padding: '8px',
+                  fontSize: editingStyle.font_size,
+                  fontWeight: editingStyle.font_weight,
+                  textAlign: editingStyle.text_align,
+                  border: '2px solid #4a9eff',
+                  borderRadius: '4px',
+                  background: editingStyle.background,
+                  color: getTextColor(editingStyle.background),
+                  outline: 'none',
+                  resize: 'horizontal',
+                  overflow: 'hidden',
+                  fontFamily: 'inherit',
+                  lineHeight: '1.5',
+                  boxSizing: 'border-box'
+                }}
+                value={textValue}
+                onChange={(e) => setTextValue(e.target.value)}
+                onMouseUp={handleTextEditorResize}
+                onBlur={saveTextNote}
+                onKeyDown={handleTextKeyDown}
+                placeholder="Type your note... Markdown works (Shift+Enter for new line)"
+              />
+              {textValue.trim() && (
+                <div
+                  className="text-editor-preview"
+                  onMouseDown={(e) => {
+                    e.preventDefault(); // Keep focus (and the edit) in the textarea
+                    e.stopPropagation();
+                  }}
+                >
+                  <div className="text-editor-preview-label">Preview</div>
+                  <div
+                    ref={textPreviewRef}
+                    className="text-editor-preview-note"
+                    style={{
+                      background: editingStyle.background,
+                      color: getTextColor(editingStyle.background),
+                      fontSize: editingStyle.font_size,
+                      fontWeight: editingStyle.font_weight,
+                      textAlign: editingStyle.text_align
+                    }}
+                  >
+                    <Markdown source={textValue} />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Placeholders for files that are still being added */}
+          {uploads.map(upload => (
+            <UploadCard
+              key={upload.id}
+              upload={upload}
+              onCancel={cancelUpload}
+              onRetry={retryUpload}
+            />
+          ))}
+
+          {/* Collaborator cursors and viewports */}
+          <PresenceLayer peers={peers} zoom={camera.zoom} />
+
+          {/* Selection bounds with group resize handle */}
+          {selectedBoxes.length > 1 && (
+            <SelectionBox
+              bounds={getBounds(selectedBoxes)}
+              onResizeStart={handleGroupResizeStart}
+            />
+          )}
+
+          {/* Marquee selection */}
+          {marquee && (
+            <div
+              className="marquee"
               style={{
                 position: 'absolute',
-                left: editingText.x,
-                top: editingText.y,
-                width: textDimensions.width,
-                height: textDimensions.height,
-                minHeight: 60,
-                maxWidth: 600,
-                maxHeight: 400,
-                padding: '8px',
-                fontSize: '14px',
-                border: '2px solid #4a9eff',
-                borderRadius: '4px',
-                background: '#2a2a2a',
-                color: 'white',
-                outline: 'none',
-                zIndex: 1000,
-                resize: 'both',
-                fontFamily: 'inherit',
-                lineHeight: '1.5',
-                boxSizing: 'border-box'
+                left: getMarqueeBox(marquee).x,
+                top: getMarqueeBox(marquee).y,
+                width: getMarqueeBox(marquee).width,
+                height: getMarqueeBox(marquee).height
               }}
-              value={textValue}
-              onChange={(e) => setTextValue(e.target.value)}
-              onBlur={saveTextNote}
-              onKeyDown={handleTextKeyDown}
-              placeholder="Type your note... (Shift+Enter for new line)"
             />
           )}
 
@@ -899,6 +2299,20 @@ function App() {
             />
           )}
 
+          <SnapGuides guides={snapGuides} zoom={camera.zoom} />
+
+          {/* Stroke being drawn */}
+          {drawingStroke && (
+            <svg className="stroke-draft">
+              <path
+                d={toStrokePath(drawingStroke.points)}
+                stroke={STROKE_TOOLS[drawingStroke.tool].color}
+                strokeWidth={STROKE_TOOLS[drawingStroke.tool].size}
+                strokeOpacity={STROKE_TOOLS[drawingStroke.tool].opacity}
+              />
+            </svg>
+          )}
+
           {/* Rectangle title input */}
           {editingRectangleTitle && (
             <input
@@ -930,10 +2344,30 @@ function App() {
       </div>
 
       {/* Tutorial/Help Overlay */}
-      <Tutorial />
+      <Tutorial commands={commands} bindings={bindings} />
 
       {/* Toolbar */}
-      <Toolbar tool={tool} zoom={camera.zoom} />
+      <Toolbar
+        tool={tool}
+        zoom={camera.zoom}
+        user={user}
+        peers={peers}
+        syncState={syncState}
+        onJumpToPeer={(peer) => setCamera({ x: peer.viewport.x, y: peer.viewport.y, zoom: peer.viewport.zoom })}
+        onRenameUser={renameUser}
+        onExportBoard={handleExportBoard}
+        onExportImage={() => setExportImage({ folder: null })}
+        onImportBoard={handleImportBoard}
+        onSearch={() => setSearchOpen(true)}
+        gridSnap={gridSnap}
+        onToggleGridSnap={() => setGridSnap(!gridSnap)}
+      />
+
+      {styleableSelection.length > 0 && !editingText && (
+        <StylePanel items={styleableSelection} onChange={handleStyleChange} />
+      )}
+
+      <Minimap items={items} camera={camera} onNavigate={handleMinimapNavigate} />
 
       {/* Context Menu */}
       {contextMenu && (
@@ -942,26 +2376,68 @@ function App() {
           y={contextMenu.y}
           item={contextMenu.item}
           onClose={() => setContextMenu(null)}
-          onRename={(item) => {
-            if (item.type === 'rectangle') {
-              handleEditRectangleTitle(item);
-            } else if (item.type === 'text') {
-              handleEditText(item);
-            }
-          }}
+          onRename={renameItem}
           onDelete={handleDeleteItem}
+          onDuplicate={(item) => duplicateItems(getContextTargets(item))}
+          onCopy={(item) => copyItemsToClipboard(getContextTargets(item), 'copy')}
+          onCut={(item) => copyItemsToClipboard(getContextTargets(item), 'cut')}
+          onReorder={(item, action) => reorderItems(getContextTargets(item), action)}
+          onExportImage={(item) => setExportImage({ folder: item })}
+          onRefreshLink={refreshLinkMeta}
+          onUpdateConnector={updateConnector}
         />
       )}
 
       {/* Delete Confirmation Modal */}
       {confirmDelete && (
         <ConfirmModal
-          title="Delete Item"
-          message={`Are you sure you want to delete this ${confirmDelete.type === 'rectangle' ? 'folder' : confirmDelete.type}? This action cannot be undone.`}
-          onConfirm={() => executeDelete(confirmDelete)}
+          title={confirmDelete.items.length === 1 ? 'Delete Item' : 'Delete Items'}
+          message={
+            (confirmDelete.items.length === 1
+              ? `Are you sure you want to delete this ${confirmDelete.items[0].type === 'rectangle' ? 'folder' : confirmDelete.items[0].type}?`
+              : `Are you sure you want to delete these ${confirmDelete.items.length} items?`) +
+            (confirmDelete.nestedCount > 0
+              ? ` It contains ${confirmDelete.nestedCount} item(s) - delete them too, or move them to the parent folder?`
+              : '') +
+            ' You can undo this with Ctrl+Z.'
+          }
+          confirmLabel={confirmDelete.nestedCount > 0 ? 'Delete All' : 'Delete'}
+          alternateLabel={confirmDelete.nestedCount > 0 ? 'Keep Contents' : null}
+          onConfirm={() => executeDelete(confirmDelete.items)}
+          onAlternate={() => executeDelete(confirmDelete.items, { keepContents: true })}
           onCancel={() => setConfirmDelete(null)}
         />
       )}
+
+      {/* Search (Ctrl+F) */}
+      {searchOpen && (
+        <SearchPanel
+          items={items}
+          onSelect={handleSearchSelect}
+          onClose={() => setSearchOpen(false)}
+        />
+      )}
+
+      {/* Command Palette (Ctrl+K) */}
+      {paletteOpen && (
+        <CommandPalette
+          commands={commands}
+          bindings={bindings}
+          onRun={handleRunCommand}
+          onRebind={rebind}
+          onResetBindings={resetBindings}
+          onClose={() => setPaletteOpen(false)}
+        />
+      )}
+
+      {/* Image Export Dialog */}
+      {exportImage && (
+        <ExportDialog
+          folder={exportImage.folder}
+          onExport={handleExportImage}
+          onCancel={() => setExportImage(null)}
+        />
+      )}
     </>
   );
 }
@@ -1,9 +1,33 @@
-import { useRef } from 'react';
+import { memo, useRef } from 'react';
+import { resolveFileUrl } from '../lib/backend';
+import Markdown from './Markdown';
+import { getFileKind } from '../lib/filePreview';
+import { getStrokeStyle, parseStrokePoints, toStrokePath } from '../lib/strokes';
+import { getItemStyle, getTextColor, isLightColor, isStyleable, withOpacity } from '../lib/itemStyles';
+import { RESIZE_DIRECTIONS } from '../lib/resizing';
 import './CanvasItem.css';
 
-function CanvasItem({ item, zoom, onEditText, onDragStart, onEditRectangleTitle, onContextMenu, onResizeStart }) {
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+// Favicons and preview images come from other sites and may not load
+const hideBrokenImage = (e) => {
+  e.currentTarget.style.display = 'none';
+};
+
+function CanvasItem({ item, simplified, selected, highlighted, remoteMoving, collaborator, onEditText, onDragStart, onEditRectangleTitle, onContextMenu, onResizeStart, onToggleTask }) {
   const mouseDownPosRef = useRef(null);
   const wasResizingRef = useRef(false);
+  const fileKind = item.type === 'file' ? getFileKind(item) : null;
+  const look = isStyleable(item) ? getItemStyle(item) : null;
+
+  // Zoomed far out, cards are plain blocks (folders and strokes stay as they are)
+  const showDetail = !simplified || item.type === 'rectangle' || item.type === 'stroke';
 
   const handleMouseDown = (e) => {
     // Don't trigger drag if clicking on resize handle
@@ -11,15 +35,15 @@ function CanvasItem({ item, zoom, onEditText, onDragStart, onEditRectangleTitle,
       return;
     }
 
-    // Allow dragging for text, file, and rectangle items
-    if (item.type === 'text' || item.type === 'file' || item.type === 'rectangle') {
+    // Allow dragging for every item type
+    if (['text', 'file', 'rectangle', 'link', 'stroke'].includes(item.type)) {
       e.stopPropagation(); // Prevent canvas panning
 
       // Record initial position to detect drag vs click
       mouseDownPosRef.current = { x: e.clientX, y: e.clientY };
 
       if (onDragStart) {
-        onDragStart(item.id, e.clientX, e.clientY);
+        onDragStart(item.id, e.clientX, e.clientY, e.shiftKey);
       }
     }
   };
@@ -42,12 +66,23 @@ function CanvasItem({ item, zoom, onEditText, onDragStart, onEditRectangleTitle,
       onResizeStart(item.id, e.clientX, e.clientY, direction);
     }
 
-    // Reset flag after a short delay
-    setTimeout(() => {
-      wasResizingRef.current = false;
-    }, 100);
+    // Reset once the resize ends, after the click that follows its mouseup
+    window.addEventListener('mouseup', () => {
+      setTimeout(() => {
+        wasResizingRef.current = false;
+      }, 0);
+    }, { once: true });
   };
 
+  // A handle on every corner and edge
+  const renderResizeHandles = () => RESIZE_DIRECTIONS.map(direction => (
+    <div
+      key={direction}
+      className={`resize-handle resize-${direction}`}
+      onMouseDown={(e) => handleResizeMouseDown(e, direction)}
+    />
+  ));
+
   const handleClick = (e) => {
     e.stopPropagation();
 
@@ -56,6 +91,12 @@ function CanvasItem({ item, zoom, onEditText, onDragStart, onEditRectangleTitle,
       return;
     }
 
+    // Shift-click only changes the selection
+    if (e.shiftKey) {
+      mouseDownPosRef.current = null;
+      return;
+    }
+
     // Check if this was a drag or a click
     if (mouseDownPosRef.current) {
       const deltaX = Math.abs(e.clientX - mouseDownPosRef.current.x);
@@ -73,13 +114,65 @@ function CanvasItem({ item, zoom, onEditText, onDragStart, onEditRectangleTitle,
 
     // Only trigger click actions if it was a true click (not a drag)
     if (item.type === 'file') {
-      window.open(item.content, '_blank');
+      window.open(resolveFileUrl(item.content), '_blank');
+    } else if (item.type === 'link') {
+      window.open(item.content, '_blank', 'noopener');
     } else if (item.type === 'text' && onEditText) {
       // Trigger edit mode for text notes
       onEditText(item);
     }
   };
 
+  // Media controls handle their own clicks instead of dragging or opening the file
+  const stopPropagation = (e) => e.stopPropagation();
+
+  const renderFilePreview = () => {
+    switch (fileKind) {
+      case 'image':
+        return (
+          <img
+            className="file-thumbnail"
+            src={item.thumbnail || resolveFileUrl(item.content)}
+            alt={item.file_name}
+            draggable={false}
+          />
+        );
+      case 'pdf':
+        return item.thumbnail
+          ? <img className="file-thumbnail file-page" src={item.thumbnail} alt={item.file_name} draggable={false} />
+          : <div className="file-icon">📕</div>;
+      case 'video':
+        return (
+          <video
+            className="file-video"
+            src={resolveFileUrl(item.content)}
+            poster={item.thumbnail || undefined}
+            preload="none"
+            controls
+            onMouseDown={stopPropagation}
+            onClick={stopPropagation}
+          />
+        );
+      case 'audio':
+        return (
+          <audio
+            className="file-audio"
+            src={resolveFileUrl(item.content)}
+            preload="none"
+            controls
+            onMouseDown={stopPropagation}
+            onClick={stopPropagation}
+          />
+        );
+      case 'text':
+        return item.preview_text !== null && item.preview_text !== undefined
+          ? <pre className="file-text-preview">{item.preview_text}</pre>
+          : <div className="file-icon">📝</div>;
+      default:
+        return <div className="file-icon">📄</div>;
+    }
+  };
+
   const handleDoubleClick = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -93,57 +186,134 @@ function CanvasItem({ item, zoom, onEditText, onDragStart, onEditRectangleTitle,
     }
   };
 
+  const renderStroke = () => {
+    const style = getStrokeStyle(item);
+    const d = toStrokePath(parseStrokePoints(item.content));
+
+    return (
+      <svg
+        className="stroke-svg"
+        viewBox={`0 0 ${style.view_width} ${style.view_height}`}
+        preserveAspectRatio="none"
+      >
+        {/* Wider invisible copy so thin pen lines are easy to grab */}
+        <path className="stroke-hit" d={d} strokeWidth={style.size + 10} />
+        <path
+          className="stroke-path"
+          d={d}
+          stroke={style.color}
+          strokeWidth={style.size}
+          strokeOpacity={style.opacity}
+        />
+      </svg>
+    );
+  };
+
   return (
     <div
-      className={`canvas-item canvas-item-${item.type}`}
+      className={`canvas-item canvas-item-${item.type} ${selected ? 'selected' : ''} ${highlighted ? 'search-highlight' : ''} ${remoteMoving ? 'remote-moving' : ''} ${collaborator ? 'collaborator-active' : ''}`}
       style={{
         position: 'absolute',
         left: item.x,
         top: item.y,
         width: item.width,
         height: item.height,
+        '--collaborator-color': collaborator?.color,
       }}
       onMouseDown={handleMouseDown}
       onClick={handleClick}
       onDoubleClick={handleDoubleClick}
       onContextMenu={handleContextMenu}
     >
+      {/* Name of the collaborator dragging or editing this item */}
+      {collaborator && (
+        <div className="collaborator-tag">{collaborator.name}</div>
+      )}
+
+      {!showDetail && (
+        <div className={`lod-block lod-${item.type}`} style={look ? { background: look.background } : undefined} />
+      )}
+
       {/* File card */}
-      {item.type === 'file' && (
+      {showDetail && item.type === 'file' && (
         <>
-          <div className="file-card">
-            <div className="file-icon">📄</div>
-            <div className="file-name">{item.file_name}</div>
+          <div className={`file-card file-card-${fileKind}`}>
+            {renderFilePreview()}
+            <div className="file-name" title={item.file_name}>{item.file_name}</div>
           </div>
-          <div
-            className="resize-handle resize-se"
-            onMouseDown={(e) => handleResizeMouseDown(e, 'se')}
-          />
+          {renderResizeHandles()}
         </>
       )}
 
       {/* Text note */}
-      {item.type === 'text' && (
-        <div className="text-note">
-          {item.content}
+      {showDetail && item.type === 'text' && (
+        <>
+          <div
+            className={`text-note ${isLightColor(look.background) ? 'light' : ''}`}
+            style={{
+              background: look.background,
+              color: getTextColor(look.background),
+              fontSize: look.font_size,
+              fontWeight: look.font_weight,
+              textAlign: look.text_align,
+              '--note-border': look.border
+            }}
+          >
+            <Markdown
+              source={item.content}
+              onToggleTask={onToggleTask ? (line) => onToggleTask(item, line) : null}
+            />
+          </div>
+          {renderResizeHandles()}
+        </>
+      )}
+
+      {/* Web link with its unfurled preview */}
+      {showDetail && item.type === 'link' && (
+        <div className={`link-card ${item.link_meta?.image ? 'has-image' : ''}`}>
+          {item.link_meta?.image && (
+            <img className="link-image" src={item.link_meta.image} alt="" draggable={false} onError={hideBrokenImage} />
+          )}
+          <div className="link-body">
+            <div className="link-header">
+              {item.link_meta?.favicon
+                ? <img className="link-favicon" src={item.link_meta.favicon} alt="" draggable={false} onError={hideBrokenImage} />
+                : <span className="link-icon">🔗</span>}
+              <span className="link-title">{item.link_meta?.title || getHostname(item.content)}</span>
+            </div>
+            {item.link_meta?.description && (
+              <div className="link-description">{item.link_meta.description}</div>
+            )}
+            <div className="link-url" title={item.content}>
+              {item.link_meta?.error ? `${getHostname(item.content)} · preview unavailable` : item.content}
+            </div>
+          </div>
         </div>
       )}
 
+      {/* Freehand pen or highlighter stroke, scaled to the item's bounds */}
+      {item.type === 'stroke' && renderStroke()}
+
       {/* Rectangle border with title */}
       {item.type === 'rectangle' && (
         <>
-          <div className="rectangle-border" />
+          <div
+            className="rectangle-border"
+            style={{
+              background: withOpacity(look.background, look.fill_opacity),
+              '--folder-border': look.border
+            }}
+          />
           <div className="rectangle-title">
             {item.content || 'Untitled'}
           </div>
-          <div
-            className="resize-handle resize-se"
-            onMouseDown={(e) => handleResizeMouseDown(e, 'se')}
-          />
+          {renderResizeHandles()}
         </>
       )}
     </div>
   );
 }
 
-export default CanvasItem;
+// Memoized: App passes stable callbacks, so panning, zooming and dragging
+// other items don't re-render this one
+export default memo(CanvasItem);
@@ -0,0 +1,130 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { CATEGORIES, eventToBinding, formatBinding, fuzzyScore, isRunnable } from '../lib/commands';
+import './CommandPalette.css';
+
+const categoryTitle = (id) => CATEGORIES.find(c => c.id === id)?.title.replace(/^\S+\s/, '') || '';
+
+const renderBinding = (binding) => (
+  <span key={binding} className="palette-binding">
+    {formatBinding(binding).map(part => <kbd key={part}>{part}</kbd>)}
+  </span>
+);
+
+// Ctrl+K: fuzzy-find and run any command, or press ⌨ on a row and then the
+// new key combination to remap it.
+function CommandPalette({ commands, bindings, onRun, onRebind, onResetBindings, onClose }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recordingId, setRecordingId] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current.focus();
+  }, []);
+
+  const results = useMemo(() => commands
+    .filter(isRunnable)
+    .map(command => ({ command, score: fuzzyScore(query, `${command.title} ${categoryTitle(command.category)}`) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(result => result.command), [commands, query]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  // While recording, the next key combination becomes the command's binding
+  useEffect(() => {
+    if (!recordingId) return;
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        setRecordingId(null);
+        inputRef.current.focus();
+        return;
+      }
+
+      const binding = eventToBinding(e);
+      if (!binding) return; // Still holding modifiers
+
+      onRebind(recordingId, [binding]);
+      setRecordingId(null);
+      inputRef.current.focus();
+    };
+
+    // Capture phase, so the board's shortcuts don't fire while recording
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recordingId, onRebind]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(Math.min(activeIndex + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(Math.max(activeIndex - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      onRun(results[activeIndex]);
+    }
+  };
+
+  return (
+    <div className="palette-overlay" onMouseDown={onClose}>
+      <div className="command-palette" onMouseDown={(e) => e.stopPropagation()}>
+        <input
+          ref={inputRef}
+          className="palette-input"
+          type="text"
+          placeholder="Type a command…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+        />
+
+        <div className="palette-results">
+          {results.length === 0 && <div className="palette-empty">No matching commands</div>}
+          {results.map((command, index) => (
+            <div
+              key={command.id}
+              className={`palette-row ${index === activeIndex ? 'active' : ''}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => onRun(command)}
+            >
+              <span className="palette-title">{command.title}</span>
+              <span className="palette-category">{categoryTitle(command.category)}</span>
+              <span className="palette-bindings">
+                {recordingId === command.id
+                  ? <span className="palette-recording">Press keys… (Esc to cancel)</span>
+                  : (bindings.get(command.id) || []).map(renderBinding)}
+              </span>
+              <button
+                className="palette-rebind"
+                title="Change shortcut"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setRecordingId(command.id);
+                }}
+              >
+                ⌨
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="palette-footer">
+          <span>↑↓ to choose, Enter to run</span>
+          <button className="palette-reset" onClick={onResetBindings}>Reset shortcuts</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
@@ -1,7 +1,7 @@
 import { useEffect } from 'react';
 import './ConfirmModal.css';
 
-function ConfirmModal({ title, message, onConfirm, onCancel }) {
+function ConfirmModal({ title, message, confirmLabel = 'Delete', alternateLabel, onConfirm, onAlternate, onCancel }) {
   useEffect(() => {
     const handleEscape = (e) => {
       if (e.key === 'Escape') {
@@ -26,8 +26,13 @@ function ConfirmModal({ title, message, onConfirm, onCancel }) {
           <button className="confirm-btn-cancel" onClick={onCancel}>
             Cancel
           </button>
+          {alternateLabel && (
+            <button className="confirm-btn-alternate" onClick={onAlternate}>
+              {alternateLabel}
+            </button>
+          )}
           <button className="confirm-btn-delete" onClick={onConfirm}>
-            Delete
+            {confirmLabel}
           </button>
         </div>
       </div>
@@ -0,0 +1,114 @@
+import {
+  getConnectorGeometry,
+  getConnectorStyle,
+  getDraftPath,
+  toPathData
+} from '../lib/connectors';
+import './ConnectorLayer.css';
+
+const MARKER_IDS = { arrow: 'connector-arrow', dot: 'connector-dot' };
+
+const markerUrl = (head, selected) =>
+  MARKER_IDS[head] ? `url(#${MARKER_IDS[head]}${selected ? '-selected' : ''})` : undefined;
+
+// Arrowhead and dot markers in the normal and selected colors
+const renderMarkers = (suffix, color) => (
+  <>
+    <marker
+      id={`connector-arrow${suffix}`}
+      viewBox="0 0 10 10"
+      refX="9"
+      refY="5"
+      markerWidth="8"
+      markerHeight="8"
+      orient="auto-start-reverse"
+    >
+      <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+    </marker>
+    <marker
+      id={`connector-dot${suffix}`}
+      viewBox="0 0 10 10"
+      refX="5"
+      refY="5"
+      markerWidth="6"
+      markerHeight="6"
+    >
+      <circle cx="5" cy="5" r="4" fill={color} />
+    </marker>
+  </>
+);
+
+// Arrows between items, drawn in world coordinates between folders and cards.
+// `draft` is the connector being drawn: { source, point }.
+function ConnectorLayer({ connectors, itemsById, selectedIds, zoom, draft, onSelect, onEditLabel, onContextMenu }) {
+  return (
+    <svg className="connector-layer">
+      <defs>
+        {renderMarkers('', 'rgba(255, 255, 255, 0.7)')}
+        {renderMarkers('-selected', '#4a9eff')}
+      </defs>
+
+      {connectors.map(connector => {
+        const geometry = getConnectorGeometry(connector, itemsById);
+        if (!geometry) return null;
+
+        const style = getConnectorStyle(connector);
+        const selected = selectedIds.includes(connector.id);
+        const d = toPathData(geometry.points);
+
+        return (
+          <g key={connector.id} className={`connector ${selected ? 'selected' : ''}`}>
+            {/* Wide invisible stroke so thin lines are easy to click */}
+            <path
+              className="connector-hit"
+              d={d}
+              strokeWidth={14 / zoom}
+              onMouseDown={(e) => {
+                e.stopPropagation();
+                onSelect(connector.id, e.shiftKey);
+              }}
+              onDoubleClick={(e) => {
+                e.stopPropagation();
+                onEditLabel(connector);
+              }}
+              onContextMenu={(e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                onContextMenu(e, connector);
+              }}
+            />
+            <path
+              className="connector-line"
+              d={d}
+              markerStart={markerUrl(style.start_head, selected)}
+              markerEnd={markerUrl(style.end_head, selected)}
+            />
+            {connector.content && (
+              <text
+                className="connector-label"
+                x={geometry.labelPoint.x}
+                y={geometry.labelPoint.y}
+                onDoubleClick={(e) => {
+                  e.stopPropagation();
+                  onEditLabel(connector);
+                }}
+              >
+                {connector.content}
+              </text>
+            )}
+          </g>
+        );
+      })}
+
+      {draft && (
+        <path
+          className="connector-draft"
+          d={toPathData(getDraftPath(draft.source, draft.point))}
+          markerEnd={markerUrl('arrow', true)}
+        />
+      )}
+    </svg>
+  );
+}
+
+export default ConnectorLayer;
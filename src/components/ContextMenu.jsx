@@ -1,7 +1,11 @@
 import { useEffect } from 'react';
+import { ARROWHEAD_STYLES, getConnectorStyle } from '../lib/connectors';
+import { REORDER_ACTIONS } from '../lib/zOrder';
 import './ContextMenu.css';
 
-function ContextMenu({ x, y, item, onClose, onRename, onDelete }) {
+const REORDER_ICONS = { front: '⏫', forward: '🔼', backward: '🔽', back: '⏬' };
+
+function ContextMenu({ x, y, item, onClose, onRename, onDelete, onDuplicate, onCopy, onCut, onReorder, onExportImage, onRefreshLink, onUpdateConnector }) {
   // Close menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -29,6 +33,42 @@ function ContextMenu({ x, y, item, onClose, onRename, onDelete }) {
     onClose();
   };
 
+  // Act on the item, then close the menu
+  const runAndClose = (action) => () => {
+    action(item);
+    onClose();
+  };
+
+  const handleReorder = (action) => {
+    onReorder(item, action);
+    onClose();
+  };
+
+  const handleExportImage = () => {
+    onExportImage(item);
+    onClose();
+  };
+
+  const handleRefreshLink = () => {
+    onRefreshLink(item);
+    onClose();
+  };
+
+  const connectorStyle = item.type === 'connector' ? getConnectorStyle(item) : null;
+
+  const handleToggleRouting = () => {
+    const routing = connectorStyle.routing === 'elbow' ? 'straight' : 'elbow';
+    onUpdateConnector(item, { connector_style: { ...connectorStyle, routing } });
+    onClose();
+  };
+
+  const handleCycleHead = (end) => {
+    const key = `${end}_head`;
+    const next = ARROWHEAD_STYLES[(ARROWHEAD_STYLES.indexOf(connectorStyle[key]) + 1) % ARROWHEAD_STYLES.length];
+    onUpdateConnector(item, { connector_style: { ...connectorStyle, [key]: next } });
+    onClose();
+  };
+
   const handleDelete = () => {
     onDelete(item);
     onClose();
@@ -51,6 +91,66 @@ function ContextMenu({ x, y, item, onClose, onRename, onDelete }) {
             Rename
           </button>
         )}
+        {item.type === 'connector' && onUpdateConnector && (
+          <>
+            <button className="context-menu-item" onClick={handleRename}>
+              <span className="context-menu-icon">🏷️</span>
+              Edit Label
+            </button>
+            <button className="context-menu-item" onClick={handleToggleRouting}>
+              <span className="context-menu-icon">↪️</span>
+              {connectorStyle.routing === 'elbow' ? 'Straight Line' : 'Elbow Line'}
+            </button>
+            <button className="context-menu-item" onClick={() => handleCycleHead('start')}>
+              <span className="context-menu-icon">⬅️</span>
+              Start: {connectorStyle.start_head}
+            </button>
+            <button className="context-menu-item" onClick={() => handleCycleHead('end')}>
+              <span className="context-menu-icon">➡️</span>
+              End: {connectorStyle.end_head}
+            </button>
+          </>
+        )}
+        {item.type !== 'connector' && onDuplicate && (
+          <>
+            <button className="context-menu-item" onClick={runAndClose(onDuplicate)}>
+              <span className="context-menu-icon">📑</span>
+              Duplicate
+            </button>
+            <button className="context-menu-item" onClick={runAndClose(onCopy)}>
+              <span className="context-menu-icon">📋</span>
+              Copy
+            </button>
+            <button className="context-menu-item" onClick={runAndClose(onCut)}>
+              <span className="context-menu-icon">✂️</span>
+              Cut
+            </button>
+          </>
+        )}
+        {onReorder && (
+          <>
+            <div className="context-menu-divider" />
+            {Object.entries(REORDER_ACTIONS).map(([action, label]) => (
+              <button key={action} className="context-menu-item" onClick={() => handleReorder(action)}>
+                <span className="context-menu-icon">{REORDER_ICONS[action]}</span>
+                {label}
+              </button>
+            ))}
+            <div className="context-menu-divider" />
+          </>
+        )}
+        {item.type === 'rectangle' && onExportImage && (
+          <button className="context-menu-item" onClick={handleExportImage}>
+            <span className="context-menu-icon">🖼️</span>
+            Export as Image
+          </button>
+        )}
+        {item.type === 'link' && onRefreshLink && (
+          <button className="context-menu-item" onClick={handleRefreshLink}>
+            <span className="context-menu-icon">🔄</span>
+            Refresh Preview
+          </button>
+        )}
         <button className="context-menu-item delete" onClick={handleDelete}>
           <span className="context-menu-icon">🗑️</span>
           Delete
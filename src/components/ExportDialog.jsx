@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import './ExportDialog.css';
+
+const SCALES = [1, 2, 3];
+
+function ExportDialog({ folder, onExport, onCancel }) {
+  const [scope, setScope] = useState(folder ? 'folder' : 'board');
+  const [format, setFormat] = useState('png');
+  const [scale, setScale] = useState(2);
+  const [background, setBackground] = useState('dark');
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        onCancel();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onCancel]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await onExport({ scope, format, scale, background });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const option = (value, current, setter, label) => (
+    <button
+      key={value}
+      className={`export-option ${current === value ? 'active' : ''}`}
+      onClick={() => setter(value)}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="export-dialog-overlay" onClick={onCancel}>
+      <div className="export-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="export-dialog-header">
+          <h3>Export Image</h3>
+        </div>
+        <div className="export-dialog-body">
+          <div className="export-row">
+            <span className="export-label">Area</span>
+            {option('board', scope, setScope, 'Whole board')}
+            {option('viewport', scope, setScope, 'Current view')}
+            {folder && option('folder', scope, setScope, folder.content || 'Untitled')}
+          </div>
+          <div className="export-row">
+            <span className="export-label">Format</span>
+            {option('png', format, setFormat, 'PNG')}
+            {option('svg', format, setFormat, 'SVG')}
+          </div>
+          {format === 'png' && (
+            <div className="export-row">
+              <span className="export-label">Scale</span>
+              {SCALES.map(value => option(value, scale, setScale, `${value}x`))}
+            </div>
+          )}
+          <div className="export-row">
+            <span className="export-label">Background</span>
+            {option('dark', background, setBackground, 'Dark')}
+            {option('transparent', background, setBackground, 'Transparent')}
+          </div>
+        </div>
+        <div className="export-dialog-footer">
+          <button className="export-btn-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="export-btn-confirm" onClick={handleExport} disabled={exporting}>
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportDialog;
@@ -0,0 +1,96 @@
+import { Fragment } from 'react';
+import { parseMarkdown } from '../lib/markdown';
+import './Markdown.css';
+
+// Keep clicks on interactive bits from starting a drag or opening the editor
+const stopPropagation = (e) => e.stopPropagation();
+
+function renderInline(nodes) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'code':
+        return <code key={i}>{node.text}</code>;
+      case 'strong':
+        return <strong key={i}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={i}>{renderInline(node.children)}</em>;
+      case 'del':
+        return <del key={i}>{renderInline(node.children)}</del>;
+      case 'link':
+        return (
+          <a
+            key={i}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            onMouseDown={stopPropagation}
+            onClick={stopPropagation}
+          >
+            {renderInline(node.children)}
+          </a>
+        );
+      default:
+        return <Fragment key={i}>{node.text}</Fragment>;
+    }
+  });
+}
+
+const renderLines = (lines) => lines.map((line, i) => (
+  <Fragment key={i}>
+    {i > 0 && <br />}
+    {renderInline(line)}
+  </Fragment>
+));
+
+function Markdown({ source, onToggleTask }) {
+  const blocks = parseMarkdown(source);
+
+  return (
+    <div className="markdown">
+      {blocks.map((block, i) => {
+        switch (block.type) {
+          case 'heading': {
+            const Heading = `h${block.level}`;
+            return <Heading key={i}>{renderInline(block.children)}</Heading>;
+          }
+          case 'code':
+            return <pre key={i}><code>{block.text}</code></pre>;
+          case 'rule':
+            return <hr key={i} />;
+          case 'quote':
+            return <blockquote key={i}>{renderLines(block.lines)}</blockquote>;
+          case 'list': {
+            const List = block.ordered ? 'ol' : 'ul';
+            return (
+              <List key={i}>
+                {block.items.map(item => (
+                  <li
+                    key={item.line}
+                    className={item.checked !== null ? 'task' : ''}
+                    style={{ marginLeft: item.indent * 16 }}
+                  >
+                    {item.checked !== null && (
+                      <input
+                        type="checkbox"
+                        checked={item.checked}
+                        disabled={!onToggleTask}
+                        onMouseDown={stopPropagation}
+                        onClick={stopPropagation}
+                        onChange={() => onToggleTask(item.line)}
+                      />
+                    )}
+                    {renderInline(item.children)}
+                  </li>
+                ))}
+              </List>
+            );
+          }
+          default:
+            return <p key={i}>{renderLines(block.lines)}</p>;
+        }
+      })}
+    </div>
+  );
+}
+
+export default Markdown;
@@ -0,0 +1,196 @@
+import { memo, useEffect, useMemo, useRef, useState } from 'react';
+import './Minimap.css';
+
+const WIDTH = 200;
+const HEIGHT = 140;
+const PADDING = 200; // World units around the content
+const COLLAPSED_KEY = 'omnispace-minimap-collapsed';
+
+const getViewportBounds = (camera) => ({
+  x: camera.x - window.innerWidth / 2 / camera.zoom,
+  y: camera.y - window.innerHeight / 2 / camera.zoom,
+  width: window.innerWidth / camera.zoom,
+  height: window.innerHeight / camera.zoom
+});
+
+const union = (a, b) => {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  };
+};
+
+// Items with positions of their own, reduced to what the map draws
+const getShapes = (items) => items
+  .filter(item => item.type !== 'connector')
+  .map(({ type, x, y, width, height }) => ({ type, x, y, width, height }));
+
+// Bounds of all shapes, padded
+const getContentBounds = (shapes) => {
+  let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+  for (const item of shapes) {
+    left = Math.min(left, item.x);
+    top = Math.min(top, item.y);
+    right = Math.max(right, item.x + item.width);
+    bottom = Math.max(bottom, item.y + item.height);
+  }
+  if (left === Infinity) return null;
+  return { x: left - PADDING, y: top - PADDING, width: right - left + PADDING * 2, height: bottom - top + PADDING * 2 };
+};
+
+// World -> minimap transform that fits `bounds` into the canvas, centered
+const getTransform = (bounds) => {
+  const scale = Math.min(WIDTH / bounds.width, HEIGHT / bounds.height);
+  return {
+    scale,
+    offsetX: (WIDTH - bounds.width * scale) / 2 - bounds.x * scale,
+    offsetY: (HEIGHT - bounds.height * scale) / 2 - bounds.y * scale
+  };
+};
+
+// Drawn on a <canvas> as plain rectangles so thousands of items stay cheap.
+// The item layer is cached and only redrawn when item geometry or the mapped
+// area change (edits to text or styles don't count); panning inside the
+// content just moves the viewport frame.
+function Minimap({ items, camera, onNavigate }) {
+  const [collapsed, setCollapsed] = useState(() => localStorage.getItem(COLLAPSED_KEY) === 'true');
+  const canvasRef = useRef(null);
+  const itemLayerRef = useRef(null); // { canvas, key }
+  const dragBoundsRef = useRef(null); // Mapped area frozen while dragging
+
+  const shapes = useMemo(() => getShapes(items), [items]);
+  const geometryKey = useMemo(
+    () => shapes.map(s => `${s.type} ${s.x} ${s.y} ${s.width} ${s.height}`).join('|'),
+    [shapes]
+  );
+  const contentBounds = useMemo(() => getContentBounds(shapes), [shapes]);
+  const viewport = getViewportBounds(camera);
+  const liveBounds = contentBounds ? union(contentBounds, viewport) : viewport;
+  const bounds = dragBoundsRef.current || liveBounds;
+  const boundsKey = `${bounds.x},${bounds.y},${bounds.width},${bounds.height}`;
+  const viewportKey = `${viewport.x},${viewport.y},${viewport.width},${viewport.height}`;
+
+  useEffect(() => {
+    localStorage.setItem(COLLAPSED_KEY, String(collapsed));
+  }, [collapsed]);
+
+  useEffect(() => {
+    if (collapsed || !canvasRef.current) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const { scale, offsetX, offsetY } = getTransform(bounds);
+    const key = `${geometryKey}/${boundsKey},${ratio}`;
+
+    // Redraw the cached item layer only when needed
+    let layer = itemLayerRef.current;
+    if (!layer || layer.key !== key) {
+      const canvas = layer?.canvas || document.createElement('canvas');
+      canvas.width = WIDTH * ratio;
+      canvas.height = HEIGHT * ratio;
+
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+      for (const item of shapes) {
+        const x = item.x * scale + offsetX;
+        const y = item.y * scale + offsetY;
+        const w = Math.max(item.width * scale, 1);
+        const h = Math.max(item.height * scale, 1);
+
+        if (item.type === 'rectangle') {
+          ctx.strokeStyle = 'rgba(74, 158, 255, 0.8)';
+          ctx.lineWidth = 1;
+          ctx.strokeRect(x + 0.5, y + 0.5, w, h);
+        } else {
+          ctx.fillStyle = item.type === 'stroke' ? 'rgba(255, 255, 255, 0.3)' : 'rgba(255, 255, 255, 0.65)';
+          ctx.fillRect(x, y, w, h);
+        }
+      }
+
+      layer = { canvas, key };
+      itemLayerRef.current = layer;
+    }
+
+    const canvas = canvasRef.current;
+    canvas.width = WIDTH * ratio;
+    canvas.height = HEIGHT * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(layer.canvas, 0, 0);
+
+    // Current camera viewport
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    const vx = viewport.x * scale + offsetX;
+    const vy = viewport.y * scale + offsetY;
+    ctx.fillRect(vx, vy, viewport.width * scale, viewport.height * scale);
+    ctx.strokeRect(vx, vy, viewport.width * scale, viewport.height * scale);
+  }, [collapsed, shapes, geometryKey, boundsKey, viewportKey]);
+
+  // Center the camera on the world point under the pointer
+  const navigateTo = (e, mapped) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const { scale, offsetX, offsetY } = getTransform(mapped);
+    onNavigate({
+      x: (e.clientX - rect.left - offsetX) / scale,
+      y: (e.clientY - rect.top - offsetY) / scale
+    });
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Keep the mapping fixed while dragging, or moving the viewport would
+    // rescale the map under the cursor
+    const mapped = liveBounds;
+    dragBoundsRef.current = mapped;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    navigateTo(e, mapped);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragBoundsRef.current) {
+      navigateTo(e, dragBoundsRef.current);
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    dragBoundsRef.current = null;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+  };
+
+  return (
+    <div className={`minimap ${collapsed ? 'collapsed' : ''}`} onMouseDown={(e) => e.stopPropagation()}>
+      <button
+        className="minimap-toggle"
+        onClick={() => setCollapsed(!collapsed)}
+        title={collapsed ? 'Show minimap' : 'Hide minimap'}
+      >
+        {collapsed ? '🗺️' : '−'}
+      </button>
+      {!collapsed && (
+        <canvas
+          ref={canvasRef}
+          className="minimap-canvas"
+          style={{ width: WIDTH, height: HEIGHT }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        />
+      )}
+    </div>
+  );
+}
+
+export default memo(Minimap);
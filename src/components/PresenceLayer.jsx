@@ -0,0 +1,51 @@
+import './PresenceLayer.css';
+
+// Collaborator cursors and viewport outlines, rendered inside the world layer
+// at world coordinates. Cursors are counter-scaled so they stay the same size
+// at any zoom.
+function PresenceLayer({ peers, zoom }) {
+  return (
+    <>
+      {peers.filter(peer => peer.viewport).map(peer => (
+        <div
+          key={`viewport-${peer.id}`}
+          className="presence-viewport"
+          style={{
+            left: peer.viewport.x - peer.viewport.width / 2,
+            top: peer.viewport.y - peer.viewport.height / 2,
+            width: peer.viewport.width,
+            height: peer.viewport.height,
+            borderColor: peer.color,
+            borderWidth: 2 / zoom
+          }}
+        />
+      ))}
+
+      {peers.filter(peer => peer.cursor).map(peer => (
+        <div
+          key={peer.id}
+          className="presence-cursor"
+          style={{
+            left: peer.cursor.x,
+            top: peer.cursor.y,
+            transform: `scale(${1 / zoom})`
+          }}
+        >
+          <svg width="18" height="18" viewBox="0 0 18 18">
+            <path
+              d="M2 2 L2 15 L6 11 L9 17 L11 16 L8 10 L14 10 Z"
+              fill={peer.color}
+              stroke="white"
+              strokeWidth="1"
+            />
+          </svg>
+          <span className="presence-cursor-label" style={{ background: peer.color }}>
+            {peer.name}
+          </span>
+        </div>
+      ))}
+    </>
+  );
+}
+
+export default PresenceLayer;
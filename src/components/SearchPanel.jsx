@@ -0,0 +1,131 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getBackendName } from '../lib/backend';
+import { searchItemsOnServer } from '../lib/itemPersistence';
+import { matchItems, groupByFolder, getSearchText, getSnippet, SEARCH_LIMIT } from '../lib/search';
+import './SearchPanel.css';
+
+const TYPE_ICONS = { text: '📝', rectangle: '📦', file: '📄', link: '🔗' };
+const SERVER_DELAY = 250; // ms of typing pause before asking the server
+
+// Ctrl+F panel: searches notes, folder titles, file names and links, grouped
+// by the folder they sit in. Picking a result calls onSelect(item).
+function SearchPanel({ items, onSelect, onClose }) {
+  const [query, setQuery] = useState('');
+  const [serverIds, setServerIds] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current.focus();
+  }, []);
+
+  // Supabase adds full-text matches (word forms) on top of the local ones
+  useEffect(() => {
+    setServerIds([]);
+    if (getBackendName() !== 'supabase' || !query.trim() || !navigator.onLine) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const ids = await searchItemsOnServer(query);
+        if (!cancelled) setServerIds(ids);
+      } catch (err) {
+        console.error('Server search failed, showing local matches only:', err);
+      }
+    }, SERVER_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const itemsById = useMemo(() => new Map(items.map(i => [i.id, i])), [items]);
+
+  const groups = useMemo(() => {
+    const local = matchItems(query, items);
+    const localIds = new Set(local.map(i => i.id));
+    const extra = serverIds
+      .filter(id => !localIds.has(id))
+      .map(id => itemsById.get(id))
+      .filter(item => item && TYPE_ICONS[item.type]);
+
+    return groupByFolder([...local, ...extra].slice(0, SEARCH_LIMIT), itemsById);
+  }, [query, items, itemsById, serverIds]);
+
+  // Results in display order, for arrow-key navigation
+  const flatResults = groups.flatMap(group => group.items);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(Math.min(activeIndex + 1, flatResults.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(Math.max(activeIndex - 1, 0));
+    } else if (e.key === 'Enter' && flatResults[activeIndex]) {
+      e.preventDefault();
+      onSelect(flatResults[activeIndex]);
+    }
+  };
+
+  const renderResult = (item) => {
+    const index = flatResults.indexOf(item);
+    const snippet = getSnippet(getSearchText(item), query);
+
+    return (
+      <button
+        key={item.id}
+        className={`search-result ${index === activeIndex ? 'active' : ''}`}
+        onMouseEnter={() => setActiveIndex(index)}
+        onClick={() => onSelect(item)}
+      >
+        <span className="search-result-icon">{TYPE_ICONS[item.type]}</span>
+        <span className="search-result-text">
+          {snippet.before}
+          {snippet.match && <mark>{snippet.match}</mark>}
+          {snippet.after}
+        </span>
+      </button>
+    );
+  };
+
+  return (
+    <div className="search-panel" onMouseDown={(e) => e.stopPropagation()}>
+      <input
+        ref={inputRef}
+        className="search-input"
+        type="text"
+        placeholder="Search notes, folders and files…"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+      />
+
+      {query.trim() && (
+        <div className="search-results">
+          {flatResults.length === 0 && (
+            <div className="search-empty">No matches</div>
+          )}
+          {groups.map(group => (
+            <div key={group.folderId || 'board'} className="search-group">
+              <div className="search-group-title">
+                {group.path.length > 0 ? `📁 ${group.path.join(' / ')}` : 'Board'}
+              </div>
+              {group.items.map(renderResult)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchPanel;
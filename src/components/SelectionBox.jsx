@@ -0,0 +1,31 @@
+import './SelectionBox.css';
+
+function SelectionBox({ bounds, onResizeStart }) {
+  const handleResizeMouseDown = (e) => {
+    e.stopPropagation(); // Prevent marquee/panning
+
+    if (onResizeStart) {
+      onResizeStart(e.clientX, e.clientY);
+    }
+  };
+
+  return (
+    <div
+      className="selection-box"
+      style={{
+        position: 'absolute',
+        left: bounds.x,
+        top: bounds.y,
+        width: bounds.width,
+        height: bounds.height
+      }}
+    >
+      <div
+        className="selection-handle selection-handle-se"
+        onMouseDown={handleResizeMouseDown}
+      />
+    </div>
+  );
+}
+
+export default SelectionBox;
@@ -0,0 +1,45 @@
+import './SnapGuides.css';
+
+// Alignment lines and equal-spacing hints shown while snapping, drawn in
+// world coordinates (see lib/snapping). Sizes are divided by zoom so they
+// stay the same on screen.
+function SnapGuides({ guides, zoom }) {
+  if (!guides || (guides.lines.length === 0 && guides.gaps.length === 0)) return null;
+
+  return (
+    <svg className="snap-guides">
+      {guides.lines.map((line, i) => (
+        <line
+          key={`line-${i}`}
+          className="snap-line"
+          x1={line.x1}
+          y1={line.y1}
+          x2={line.x2}
+          y2={line.y2}
+          strokeWidth={1 / zoom}
+        />
+      ))}
+      {guides.gaps.map((gap, i) => (
+        <g key={`gap-${i}`} className="snap-gap">
+          <line
+            x1={gap.x1}
+            y1={gap.y1}
+            x2={gap.x2}
+            y2={gap.y2}
+            strokeWidth={1 / zoom}
+            strokeDasharray={`${4 / zoom} ${2 / zoom}`}
+          />
+          <text
+            x={(gap.x1 + gap.x2) / 2}
+            y={(gap.y1 + gap.y2) / 2 - 4 / zoom}
+            fontSize={11 / zoom}
+          >
+            {Math.round(gap.size)}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+export default SnapGuides;
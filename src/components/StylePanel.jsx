@@ -0,0 +1,130 @@
+import {
+  COLORS,
+  FILL_OPACITIES,
+  FONT_SIZES,
+  STICKY_PRESETS,
+  TEXT_ALIGNS,
+  getItemStyle
+} from '../lib/itemStyles';
+import './StylePanel.css';
+
+const ALIGN_ICONS = { left: '⇤', center: '↔', right: '⇥' };
+
+// Appearance of the selected notes and folders. Controls show the first
+// selected item's values; onChange(fields) applies them to the whole selection.
+function StylePanel({ items, onChange }) {
+  const note = items.find(i => i.type === 'text');
+  const folder = items.find(i => i.type === 'rectangle');
+  const current = getItemStyle(note || folder);
+  const noteStyle = note ? getItemStyle(note) : null;
+  const folderStyle = folder ? getItemStyle(folder) : null;
+
+  const renderSwatches = (field) => (
+    <div className="style-swatches">
+      {COLORS.map(color => (
+        <button
+          key={color}
+          className={`style-swatch ${current[field] === color ? 'active' : ''}`}
+          style={{ background: color }}
+          title={color}
+          onClick={() => onChange({ [field]: color })}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="style-panel" onMouseDown={(e) => e.stopPropagation()}>
+      {note && (
+        <div className="style-row">
+          <span className="style-label">Sticky</span>
+          <div className="style-swatches">
+            {STICKY_PRESETS.map(preset => (
+              <button
+                key={preset.name}
+                className={`style-swatch sticky ${noteStyle.background === preset.background ? 'active' : ''}`}
+                style={{ background: preset.background, borderColor: preset.border }}
+                title={preset.name}
+                onClick={() => onChange({ background: preset.background, border: preset.border })}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="style-row">
+        <span className="style-label">{note ? 'Background' : 'Fill'}</span>
+        {renderSwatches('background')}
+      </div>
+
+      <div className="style-row">
+        <span className="style-label">Border</span>
+        {renderSwatches('border')}
+      </div>
+
+      {folder && (
+        <div className="style-row">
+          <span className="style-label">Opacity</span>
+          <div className="style-segments">
+            {FILL_OPACITIES.map(opacity => (
+              <button
+                key={opacity}
+                className={`style-segment ${folderStyle.fill_opacity === opacity ? 'active' : ''}`}
+                onClick={() => onChange({ fill_opacity: opacity })}
+              >
+                {opacity === 0 ? 'None' : `${opacity * 100}%`}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {note && (
+        <>
+          <div className="style-row">
+            <span className="style-label">Text</span>
+            <div className="style-segments">
+              {FONT_SIZES.map(size => (
+                <button
+                  key={size.value}
+                  className={`style-segment ${noteStyle.font_size === size.value ? 'active' : ''}`}
+                  title={`${size.value}px`}
+                  onClick={() => onChange({ font_size: size.value })}
+                >
+                  {size.label}
+                </button>
+              ))}
+              <button
+                className={`style-segment bold ${noteStyle.font_weight === 'bold' ? 'active' : ''}`}
+                title="Bold"
+                onClick={() => onChange({ font_weight: noteStyle.font_weight === 'bold' ? 'normal' : 'bold' })}
+              >
+                B
+              </button>
+            </div>
+          </div>
+
+          <div className="style-row">
+            <span className="style-label">Align</span>
+            <div className="style-segments">
+              {TEXT_ALIGNS.map(align => (
+                <button
+                  key={align}
+                  className={`style-segment ${noteStyle.text_align === align ? 'active' : ''}`}
+                  title={`Align ${align}`}
+                  onClick={() => onChange({ text_align: align })}
+                >
+                  {ALIGN_ICONS[align]}
+                </button>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      <button className="style-reset" onClick={() => onChange(null)}>Reset style</button>
+    </div>
+  );
+}
+
+export default StylePanel;
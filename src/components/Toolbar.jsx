@@ -1,15 +1,46 @@
+import { useRef } from 'react';
 import './Toolbar.css';
 
-function Toolbar({ tool, zoom }) {
-  const toolName = tool === 'rectangle' ? 'Rectangle' : 'Select';
+const TOOL_LABELS = {
+  select: '🖱️ Select',
+  rectangle: '✏️ Rectangle',
+  connector: '↗️ Connector',
+  pen: '🖊️ Pen',
+  highlighter: '🖍️ Highlighter',
+  eraser: '🧽 Eraser'
+};
+
+function Toolbar({ tool, zoom, user, peers = [], syncState, onJumpToPeer, onRenameUser, onExportBoard, onImportBoard, onExportImage, onSearch, gridSnap, onToggleGridSnap }) {
+  const importInputRef = useRef(null);
   const zoomPercent = Math.round(zoom * 100);
 
+  const syncLabels = {
+    offline: 'Offline',
+    syncing: 'Syncing',
+    synced: 'Synced'
+  };
+
+  const handleRename = () => {
+    const name = prompt('Your display name', user.name);
+    if (name && name.trim() && onRenameUser) {
+      onRenameUser(name.trim());
+    }
+  };
+
+  const handleImportChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow picking the same file again
+    if (file && onImportBoard) {
+      onImportBoard(file);
+    }
+  };
+
   return (
     <div className="toolbar">
       <div className="toolbar-section">
         <span className="toolbar-label">Tool:</span>
         <span className="toolbar-value tool-indicator">
-          {tool === 'rectangle' ? '✏️' : '🖱️'} {toolName}
+          {TOOL_LABELS[tool] || TOOL_LABELS.select}
         </span>
       </div>
       <div className="toolbar-divider"></div>
@@ -17,6 +48,105 @@ function Toolbar({ tool, zoom }) {
         <span className="toolbar-label">Zoom:</span>
         <span className="toolbar-value">{zoomPercent}%</span>
       </div>
+      {onToggleGridSnap && (
+        <>
+          <div className="toolbar-divider"></div>
+          <div className="toolbar-section">
+            <button
+              className={`toolbar-button ${gridSnap ? 'active' : ''}`}
+              onClick={onToggleGridSnap}
+              title="Snap to grid (G). Hold Ctrl while dragging to turn snapping off"
+            >
+              # Grid
+            </button>
+          </div>
+        </>
+      )}
+      {syncState && (
+        <>
+          <div className="toolbar-divider"></div>
+          <div className="toolbar-section" title={`${syncState.pendingCount} change(s) waiting to sync`}>
+            <span className={`sync-dot sync-${syncState.status}`}></span>
+            <span className="toolbar-value">
+              {syncLabels[syncState.status]}
+              {syncState.pendingCount > 0 && ` (${syncState.pendingCount})`}
+            </span>
+          </div>
+        </>
+      )}
+      {user && (
+        <>
+          <div className="toolbar-divider"></div>
+          <div className="toolbar-section presence-list">
+            <span className="toolbar-label">Online:</span>
+            <button
+              className="presence-avatar self"
+              style={{ background: user.color }}
+              title={`${user.name} (you) - click to rename`}
+              onClick={handleRename}
+            >
+              {user.name.charAt(0).toUpperCase()}
+            </button>
+            {peers.map(peer => (
+              <button
+                key={peer.id}
+                className="presence-avatar"
+                style={{ background: peer.color }}
+                title={peer.viewport ? `Jump to ${peer.name}'s view` : peer.name}
+                disabled={!peer.viewport}
+                onClick={() => onJumpToPeer && onJumpToPeer(peer)}
+              >
+                {peer.name.charAt(0).toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+      {onSearch && (
+        <>
+          <div className="toolbar-divider"></div>
+          <div className="toolbar-section">
+            <button className="toolbar-button" onClick={onSearch} title="Search the board (Ctrl+F)">
+              🔍 Search
+            </button>
+          </div>
+        </>
+      )}
+      {(onExportBoard || onImportBoard || onExportImage) && (
+        <>
+          <div className="toolbar-divider"></div>
+          <div className="toolbar-section">
+            {onExportBoard && (
+              <button className="toolbar-button" onClick={onExportBoard} title="Download the board as a JSON file">
+                Export
+              </button>
+            )}
+            {onExportImage && (
+              <button className="toolbar-button" onClick={onExportImage} title="Save the board as PNG or SVG">
+                Image
+              </button>
+            )}
+            {onImportBoard && (
+              <>
+                <button
+                  className="toolbar-button"
+                  onClick={() => importInputRef.current.click()}
+                  title="Add items from an exported board file"
+                >
+                  Import
+                </button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept="application/json,.json"
+                  style={{ display: 'none' }}
+                  onChange={handleImportChange}
+                />
+              </>
+            )}
+          </div>
+        </>
+      )}
     </div>
   );
 }
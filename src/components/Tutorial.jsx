@@ -1,7 +1,19 @@
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect } from 'react';
+import { CATEGORIES, formatBinding } from '../lib/commands';
 import './Tutorial.css';
 
-function Tutorial() {
+// Each way to trigger a control, as the keys to show: gestures are written
+// like 'Space + Left Click', commands use the user's current bindings
+const getKeys = (command, bindings) => {
+  if (command.gesture) {
+    return [].concat(command.gesture).map(gesture => gesture.split(' + '));
+  }
+  return (bindings.get(command.id) || []).map(formatBinding);
+};
+
+// The controls list is generated from the command registry, so remapped
+// shortcuts show up here too
+function Tutorial({ commands, bindings }) {
   const [isOpen, setIsOpen] = useState(true);
   const [hasAutoClosedOnce, setHasAutoClosedOnce] = useState(false);
 
@@ -42,67 +54,32 @@ function Tutorial() {
           </div>
 
           <div className="tutorial-content">
-            <div className="tutorial-section">
-              <h3>🖱️ Navigation</h3>
-              <div className="control-item">
-                <kbd>Middle Click</kbd>
-                <span>or</span>
-                <kbd>Space</kbd> + <kbd>Left Click</kbd>
-                <span className="control-desc">Pan around the canvas</span>
-              </div>
-              <div className="control-item">
-                <kbd>Scroll Wheel</kbd>
-                <span className="control-desc">Zoom in/out (centered on cursor)</span>
-              </div>
-            </div>
+            {CATEGORIES.map(category => {
+              const controls = commands.filter(command => command.category === category.id && getKeys(command, bindings).length > 0);
+              if (controls.length === 0) return null;
 
-            <div className="tutorial-section">
-              <h3>✏️ Content Management</h3>
-              <div className="control-item">
-                <kbd>Double Click</kbd>
-                <span className="control-desc">Create text note</span>
-              </div>
-              <div className="control-item">
-                <kbd>Drag & Drop File</kbd>
-                <span className="control-desc">Upload files from desktop</span>
-              </div>
-              <div className="control-item">
-                <kbd>Click & Drag Item</kbd>
-                <span className="control-desc">Move items around</span>
-              </div>
-              <div className="control-item">
-                <kbd>Drag Corner Handle</kbd>
-                <span className="control-desc">Resize files and rectangles</span>
-              </div>
-              <div className="control-item">
-                <kbd>Right Click Item</kbd>
-                <span className="control-desc">Open context menu (rename/delete)</span>
-              </div>
-            </div>
-
-            <div className="tutorial-section">
-              <h3>📦 Folders (Rectangles)</h3>
-              <div className="control-item">
-                <kbd>R</kbd>
-                <span className="control-desc">Enter rectangle drawing mode</span>
-              </div>
-              <div className="control-item">
-                <kbd>Click & Drag</kbd>
-                <span className="control-desc">Draw a folder rectangle</span>
-              </div>
-              <div className="control-item">
-                <kbd>Double Click Rectangle</kbd>
-                <span className="control-desc">Edit folder name</span>
-              </div>
-              <div className="control-item">
-                <kbd>Drag Rectangle</kbd>
-                <span className="control-desc">Move folder (items inside move with it)</span>
-              </div>
-              <div className="control-item">
-                <kbd>Esc</kbd>
-                <span className="control-desc">Exit rectangle mode</span>
-              </div>
-            </div>
+              return (
+                <div key={category.id} className="tutorial-section">
+                  <h3>{category.title}</h3>
+                  {controls.map(command => (
+                    <div key={command.id} className="control-item">
+                      {getKeys(command, bindings).map((keys, index) => (
+                        <Fragment key={index}>
+                          {index > 0 && <span>or</span>}
+                          {keys.map((key, keyIndex) => (
+                            <Fragment key={keyIndex}>
+                              {keyIndex > 0 && ' + '}
+                              <kbd>{key}</kbd>
+                            </Fragment>
+                          ))}
+                        </Fragment>
+                      ))}
+                      <span className="control-desc">{command.title}</span>
+                    </div>
+                  ))}
+                </div>
+              );
+            })}
           </div>
 
           {!hasAutoClosedOnce && (
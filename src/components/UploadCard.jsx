@@ -0,0 +1,47 @@
+import './UploadCard.css';
+
+// Placeholder shown where a dropped file will land while it is being added
+function UploadCard({ upload, onCancel, onRetry }) {
+  const stopPropagation = (e) => e.stopPropagation();
+  const percent = Math.round(upload.progress * 100);
+
+  return (
+    <div
+      className={`upload-card upload-${upload.status}`}
+      style={{
+        left: upload.x,
+        top: upload.y,
+        width: upload.width,
+        height: upload.height
+      }}
+      onMouseDown={stopPropagation}
+      onDoubleClick={stopPropagation}
+    >
+      <div className="upload-name" title={upload.file.name}>{upload.file.name}</div>
+
+      {upload.status === 'failed' ? (
+        <>
+          <div className="upload-error" title={upload.error}>Upload failed</div>
+          <div className="upload-actions">
+            <button className="upload-btn" onClick={() => onRetry(upload.id)}>Retry</button>
+            <button className="upload-btn" onClick={() => onCancel(upload.id)}>Dismiss</button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="upload-status">
+            {upload.status === 'queued' ? 'Waiting...' : `${percent}%`}
+          </div>
+          <div className="upload-progress">
+            <div className="upload-progress-bar" style={{ width: `${percent}%` }} />
+          </div>
+          <button className="upload-cancel" title="Cancel upload" onClick={() => onCancel(upload.id)}>
+            ×
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default UploadCard;
@@ -0,0 +1,43 @@
+import { useState, useEffect, useMemo, useCallback, useSyncExternalStore } from 'react';
+import {
+  commandRegistry,
+  resolveBindings,
+  loadBindingOverrides,
+  saveBindingOverrides
+} from '../lib/commands';
+
+// Everything registered in the command registry, kept current as commands
+// come and go. Also returns the key bindings in effect for `userId`, with
+// helpers to remap them; remaps are saved per user.
+function useCommands(userId, registry = commandRegistry) {
+  const commands = useSyncExternalStore(registry.subscribe, registry.list);
+  const [overrides, setOverrides] = useState(() => loadBindingOverrides(userId));
+
+  useEffect(() => {
+    setOverrides(loadBindingOverrides(userId));
+  }, [userId]);
+
+  const bindings = useMemo(() => resolveBindings(commands, overrides), [commands, overrides]);
+
+  const saveOverrides = useCallback((next) => {
+    saveBindingOverrides(userId, next);
+    setOverrides(next);
+  }, [userId]);
+
+  // Give a command new keys; any other command using one of them loses it
+  const rebind = useCallback((commandId, keys) => {
+    const next = { ...overrides, [commandId]: keys };
+    bindings.forEach((current, id) => {
+      if (id !== commandId && current.some(key => keys.includes(key))) {
+        next[id] = current.filter(key => !keys.includes(key));
+      }
+    });
+    saveOverrides(next);
+  }, [overrides, bindings, saveOverrides]);
+
+  const resetBindings = useCallback(() => saveOverrides({}), [saveOverrides]);
+
+  return { commands, bindings, rebind, resetBindings };
+}
+
+export default useCommands;
@@ -0,0 +1,42 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  createPresence,
+  createPresenceTransport,
+  getLocalUser,
+  saveLocalUserName
+} from '../lib/presence';
+
+// Connects to the board's presence transport for the lifetime of the component.
+// Returns the local user, the other members and a throttled updater.
+function usePresence(transportFactory = createPresenceTransport) {
+  const [user, setUser] = useState(getLocalUser);
+  const [peers, setPeers] = useState([]);
+  const presenceRef = useRef(null);
+
+  useEffect(() => {
+    const presence = createPresence({
+      transport: transportFactory(),
+      user: user,
+      onPeers: setPeers
+    });
+    presenceRef.current = presence;
+
+    return () => {
+      presence.disconnect();
+      presenceRef.current = null;
+    };
+  }, [transportFactory, user.id]);
+
+  const updatePresence = useCallback((partial) => {
+    presenceRef.current?.update(partial);
+  }, []);
+
+  const renameUser = useCallback((name) => {
+    setUser(current => saveLocalUserName(current, name));
+    presenceRef.current?.update({ name });
+  }, []);
+
+  return { user, peers, updatePresence, renameUser };
+}
+
+export default usePresence;
@@ -0,0 +1,69 @@
+// The board's commands and documented gestures (see ./commands.js).
+// App registers these with run() functions bound to its handlers; the order
+// here is the order they appear in the Controls panel.
+
+export const APP_COMMANDS = [
+  // Navigation
+  { id: 'gesture.pan', category: 'navigation', title: 'Pan around the canvas', gesture: ['Middle Click', 'Space + Left Click'] },
+  { id: 'gesture.zoom', category: 'navigation', title: 'Zoom in/out (centered on cursor)', gesture: 'Scroll Wheel' },
+  { id: 'view.zoomIn', category: 'navigation', title: 'Zoom in', keys: ['=', '+'] },
+  { id: 'view.zoomOut', category: 'navigation', title: 'Zoom out', keys: ['-'] },
+  { id: 'view.zoomToFit', category: 'navigation', title: 'Zoom to fit the whole board', keys: ['shift+1'] },
+  { id: 'view.resetZoom', category: 'navigation', title: 'Reset zoom to 100%', keys: ['shift+0'] },
+  { id: 'gesture.minimap', category: 'navigation', title: 'Jump there (drag to scrub around)', gesture: 'Click Minimap' },
+  { id: 'view.search', category: 'navigation', title: 'Search notes, folders and files', keys: ['mod+f'] },
+  { id: 'view.commandPalette', category: 'navigation', title: 'Command palette and shortcut settings', keys: ['mod+k'] },
+  { id: 'view.toggleGridSnap', category: 'navigation', title: 'Toggle snap-to-grid', keys: ['g'] },
+  { id: 'gesture.noSnap', category: 'navigation', title: 'Move or resize without snapping', gesture: 'Ctrl + Drag' },
+
+  // Content
+  { id: 'tool.select', category: 'content', title: 'Select tool', keys: ['v'] },
+  { id: 'gesture.createNote', category: 'content', title: 'Create text note', gesture: 'Double Click' },
+  { id: 'gesture.markdown', category: 'content', title: 'Markdown in notes; click a checkbox to tick it', gesture: '**bold** - [ ] task' },
+  { id: 'gesture.dropFiles', category: 'content', title: 'Upload files or whole folders from desktop', gesture: 'Drag & Drop Files' },
+  { id: 'gesture.paste', category: 'content', title: 'Paste an image, text, link or copied items at the cursor', gesture: 'Ctrl + V' },
+  { id: 'gesture.copy', category: 'content', title: 'Copy selected items, folders with their contents (paste into any board)', gesture: 'Ctrl + C' },
+  { id: 'gesture.cut', category: 'content', title: 'Cut selected items', gesture: 'Ctrl + X' },
+  { id: 'edit.duplicate', category: 'content', title: 'Duplicate selected items', keys: ['mod+d'] },
+  { id: 'gesture.move', category: 'content', title: 'Move items around', gesture: 'Click & Drag Item' },
+  { id: 'gesture.resize', category: 'content', title: 'Resize notes, files and folders from any side', gesture: 'Drag Handle' },
+  { id: 'gesture.resizeAspect', category: 'content', title: 'Keep proportions while resizing (images keep them unless Shift is held)', gesture: 'Shift + Drag Handle' },
+  { id: 'gesture.resizeCenter', category: 'content', title: 'Resize around the center', gesture: 'Alt + Drag Handle' },
+  { id: 'gesture.marquee', category: 'content', title: 'Select multiple items', gesture: 'Drag Empty Canvas' },
+  { id: 'gesture.toggleSelection', category: 'content', title: 'Add or remove item from selection', gesture: 'Shift + Click' },
+  { id: 'gesture.contextMenu', category: 'content', title: 'Open context menu', gesture: 'Right Click Item' },
+  { id: 'edit.selectAll', category: 'content', title: 'Select all items', keys: ['mod+a'] },
+  { id: 'edit.rename', category: 'content', title: 'Rename selected item', keys: ['f2'] },
+  { id: 'edit.delete', category: 'content', title: 'Delete selected items', keys: ['delete', 'backspace'] },
+  { id: 'edit.undo', category: 'content', title: 'Undo last change', keys: ['mod+z'] },
+  { id: 'edit.redo', category: 'content', title: 'Redo', keys: ['mod+shift+z', 'mod+y'] },
+  { id: 'edit.cancel', category: 'content', title: 'Cancel and go back to select', keys: ['escape'] },
+
+  // Folders
+  { id: 'tool.rectangle', category: 'folders', title: 'Enter rectangle drawing mode', keys: ['r'] },
+  { id: 'gesture.drawFolder', category: 'folders', title: 'Draw a folder rectangle', gesture: 'Click & Drag' },
+  { id: 'gesture.renameFolder', category: 'folders', title: 'Edit folder name', gesture: 'Double Click Rectangle' },
+  { id: 'gesture.moveFolder', category: 'folders', title: 'Move folder (items inside move with it)', gesture: 'Drag Rectangle' },
+  { id: 'gesture.nest', category: 'folders', title: 'Move it into the folder (folders can nest)', gesture: 'Drop Item on Folder' },
+
+  // Connectors
+  { id: 'tool.connector', category: 'connectors', title: 'Enter connector mode', keys: ['c'] },
+  { id: 'gesture.connect', category: 'connectors', title: 'Draw an arrow between them', gesture: 'Drag Item to Item' },
+  { id: 'gesture.connectorLabel', category: 'connectors', title: 'Edit its label', gesture: 'Double Click Arrow' },
+  { id: 'gesture.connectorStyle', category: 'connectors', title: 'Switch straight/elbow and arrowheads', gesture: 'Right Click Arrow' },
+
+  // Drawing
+  { id: 'tool.pen', category: 'drawing', title: 'Pen', keys: ['p'] },
+  { id: 'tool.highlighter', category: 'drawing', title: 'Highlighter', keys: ['h'] },
+  { id: 'tool.eraser', category: 'drawing', title: 'Eraser (drag over strokes to remove them)', keys: ['e'] },
+
+  // Arrange
+  { id: 'arrange.front', category: 'arrange', title: 'Bring to front', keys: [']'] },
+  { id: 'arrange.forward', category: 'arrange', title: 'Bring forward', keys: ['mod+]'] },
+  { id: 'arrange.backward', category: 'arrange', title: 'Send backward', keys: ['mod+['] },
+  { id: 'arrange.back', category: 'arrange', title: 'Send to back', keys: ['['] },
+
+  // Board
+  { id: 'board.export', category: 'board', title: 'Export board as JSON', keys: [] },
+  { id: 'board.exportImage', category: 'board', title: 'Export board as an image', keys: [] }
+];
@@ -0,0 +1,48 @@
+import { supabase } from "../supabaseClient";
+import { createSupabaseBackend } from "./backends/supabaseBackend";
+import { createLocalBackend } from "./backends/localBackend";
+
+// Persistence backend selection.
+//
+// A backend is { name, requiresNetwork, items, blobs, subscribe }:
+//   items.list()                  rows ordered by created_at
+//   items.upsert(rows)            insert or replace complete rows
+//   items.update(updates)         apply [{ id, ...changedFields }] all or nothing
+//   items.remove(ids)
+//   items.search(query)           ids of items whose text matches, best first
+//   blobs.upload(path, blob, { onProgress, signal })
+//                                 onProgress(0..1) where supported; rejects
+//                                 with an AbortError if the signal fires
+//   blobs.download(path)          the stored Blob
+//   blobs.remove(paths)
+//   blobs.getPublicUrl(path)      URL saved in a file item's content
+//   blobs.resolveUrl(url)         URL the browser can actually load
+//   subscribe({ onChange(eventType, record), onLivePatch(updates) })
+//                                 returns { sendLivePatch, unsubscribe }
+//
+// Async methods throw on failure. VITE_BACKEND=supabase|local picks one;
+// without it the app uses Supabase when it is configured and local otherwise.
+
+export const getBackendName = () =>
+  import.meta.env.VITE_BACKEND || (supabase ? 'supabase' : 'local');
+
+const createBackend = () => {
+  const name = getBackendName();
+
+  if (name === 'local') {
+    return createLocalBackend();
+  }
+  if (name === 'supabase') {
+    if (!supabase) {
+      throw new Error('VITE_BACKEND=supabase needs VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY');
+    }
+    return createSupabaseBackend(supabase);
+  }
+  throw new Error(`Unknown VITE_BACKEND: ${name}`);
+};
+
+export const backend = createBackend();
+console.log('Persistence backend:', backend.name);
+
+// URL a file item's content can be loaded from in this browser
+export const resolveFileUrl = (url) => backend.blobs.resolveUrl(url);
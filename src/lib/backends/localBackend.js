@@ -0,0 +1,188 @@
+import { blobToDataUrl, dataUrlToBlob } from "../blobUtils";
+import { matchItems } from "../search";
+
+// Local implementation of the persistence backend (see ../backend.js) for
+// running and end-to-end testing the app with no network.
+//
+// Rows live in localStorage, blobs in memory (mirrored to localStorage as data
+// URLs while they fit). Changes are broadcast to other tabs of the same origin
+// through a BroadcastChannel, so collaboration features work locally too.
+// Pass `storage: null` for a purely in-memory backend.
+
+const ITEMS_KEY = 'omnispace-local-items';
+const BLOBS_KEY = 'omnispace-local-blobs';
+const URL_PREFIX = 'local://files/';
+
+const readJson = (storage, key, fallback) => {
+  if (!storage) return fallback;
+  try {
+    return JSON.parse(storage.getItem(key)) || fallback;
+  } catch (err) {
+    console.error(`Could not read ${key}:`, err);
+    return fallback;
+  }
+};
+
+export function createLocalBackend({ storage = window.localStorage, channelName = 'omnispace-local' } = {}) {
+  let rows = readJson(storage, ITEMS_KEY, []);
+  const savedBlobs = readJson(storage, BLOBS_KEY, {}); // path -> data URL
+  const blobStore = new Map(Object.entries(savedBlobs).map(([path, dataUrl]) => [path, dataUrlToBlob(dataUrl)]));
+  const objectUrls = new Map(); // path -> object URL
+
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(channelName) : null;
+  const subscribers = new Set();
+
+  const saveRows = () => {
+    if (storage) {
+      storage.setItem(ITEMS_KEY, JSON.stringify(rows));
+    }
+  };
+
+  const saveBlobs = () => {
+    if (!storage) return;
+    try {
+      storage.setItem(BLOBS_KEY, JSON.stringify(savedBlobs));
+    } catch (err) {
+      // Quota exceeded - the file still works until the tab is closed
+      console.error('Local file storage is full:', err);
+    }
+  };
+
+  // Tell other tabs about a change
+  const publish = (message) => {
+    if (channel) {
+      channel.postMessage(message);
+    }
+  };
+
+  // Blobs uploaded by another tab are only in storage until first used here
+  const loadBlob = (path) => {
+    if (!blobStore.has(path)) {
+      const dataUrl = readJson(storage, BLOBS_KEY, {})[path];
+      if (dataUrl) {
+        savedBlobs[path] = dataUrl;
+        blobStore.set(path, dataUrlToBlob(dataUrl));
+      }
+    }
+    return blobStore.get(path);
+  };
+
+  if (channel) {
+    channel.onmessage = ({ data }) => {
+      if (data.kind === 'change') {
+        // Another tab wrote storage; pick up its copy
+        rows = readJson(storage, ITEMS_KEY, rows);
+      }
+      subscribers.forEach(subscriber => subscriber(data));
+    };
+  }
+
+  const items = {
+    async list() {
+      return [...rows].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    },
+
+    async upsert(newRows) {
+      newRows.forEach(row => {
+        const index = rows.findIndex(r => r.id === row.id);
+        const complete = { created_at: new Date().toISOString(), ...row };
+
+        if (index === -1) {
+          rows.push(complete);
+          publish({ kind: 'change', eventType: 'INSERT', record: complete });
+        } else {
+          rows[index] = { ...rows[index], ...complete };
+          publish({ kind: 'change', eventType: 'UPDATE', record: rows[index] });
+        }
+      });
+      saveRows();
+    },
+
+    async update(updates) {
+      updates.forEach(({ id, ...fields }) => {
+        const index = rows.findIndex(r => r.id === id);
+        if (index === -1) return;
+
+        rows[index] = { ...rows[index], ...fields };
+        publish({ kind: 'change', eventType: 'UPDATE', record: rows[index] });
+      });
+      saveRows();
+    },
+
+    async remove(ids) {
+      rows = rows.filter(r => !ids.includes(r.id));
+      ids.forEach(id => publish({ kind: 'change', eventType: 'DELETE', record: { id } }));
+      saveRows();
+    },
+
+    async search(query) {
+      return matchItems(query, rows).map(r => r.id);
+    }
+  };
+
+  const blobs = {
+    async upload(path, blob) {
+      blobStore.set(path, blob);
+      savedBlobs[path] = await blobToDataUrl(blob);
+      saveBlobs();
+    },
+
+    async download(path) {
+      const blob = loadBlob(path);
+      if (!blob) throw new Error(`File not found: ${path}`);
+      return blob;
+    },
+
+    async remove(paths) {
+      paths.forEach(path => {
+        blobStore.delete(path);
+        delete savedBlobs[path];
+        if (objectUrls.has(path)) {
+          URL.revokeObjectURL(objectUrls.get(path));
+          objectUrls.delete(path);
+        }
+      });
+      saveBlobs();
+    },
+
+    getPublicUrl(path) {
+      return URL_PREFIX + encodeURIComponent(path);
+    },
+
+    // local:// URLs aren't loadable - hand out an object URL for the blob instead
+    resolveUrl(url) {
+      if (!url || !url.startsWith(URL_PREFIX)) return url;
+
+      const path = decodeURIComponent(url.slice(URL_PREFIX.length));
+      const blob = loadBlob(path);
+      if (!objectUrls.has(path) && blob) {
+        objectUrls.set(path, URL.createObjectURL(blob));
+      }
+      return objectUrls.get(path) || url;
+    }
+  };
+
+  const subscribe = ({ onChange, onLivePatch }) => {
+    const subscriber = (message) => {
+      if (message.kind === 'change') {
+        onChange(message.eventType, message.record);
+      } else if (message.kind === 'live-patch') {
+        onLivePatch(message.updates);
+      }
+    };
+    subscribers.add(subscriber);
+
+    return {
+      sendLivePatch: (updates) => publish({ kind: 'live-patch', updates }),
+      unsubscribe: () => subscribers.delete(subscriber)
+    };
+  };
+
+  return {
+    name: 'local',
+    requiresNetwork: false,
+    items,
+    blobs,
+    subscribe
+  };
+}
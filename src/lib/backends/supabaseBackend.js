@@ -0,0 +1,177 @@
+// Supabase implementation of the persistence backend (see ../backend.js):
+// rows in the `items` table, blobs in the public `files` bucket, live changes
+// over a Realtime channel.
+
+// search_vector is generated by Postgres and must never be written back, so
+// it is dropped from every row the app sees
+const withoutGenerated = ({ search_vector, ...row }) => row;
+
+// PUT a file to a signed upload URL. Uses XMLHttpRequest because fetch can't
+// report upload progress.
+const putWithProgress = (url, blob, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Upload cancelled', 'AbortError'));
+    return;
+  }
+
+  const xhr = new XMLHttpRequest();
+  const abort = () => xhr.abort();
+  signal?.addEventListener('abort', abort);
+  const settle = (settleWith, value) => {
+    signal?.removeEventListener('abort', abort);
+    settleWith(value);
+  };
+
+  xhr.upload.onprogress = (e) => {
+    if (e.lengthComputable && onProgress) onProgress(e.loaded / e.total);
+  };
+  xhr.onload = () => {
+    if (xhr.status >= 200 && xhr.status < 300) {
+      settle(resolve);
+      return;
+    }
+    let message = xhr.statusText || `Upload failed (${xhr.status})`;
+    try {
+      message = JSON.parse(xhr.responseText).message || message;
+    } catch {
+      // Not a JSON error body
+    }
+    settle(reject, new Error(message));
+  };
+  xhr.onerror = () => settle(reject, new Error('Network request failed'));
+  xhr.onabort = () => settle(reject, new DOMException('Upload cancelled', 'AbortError'));
+
+  // Same form layout as supabase-js uploadToSignedUrl
+  const body = new FormData();
+  body.append('cacheControl', '3600');
+  body.append('', blob);
+
+  xhr.open('PUT', url);
+  xhr.setRequestHeader('x-upsert', 'true');
+  xhr.send(body);
+});
+
+export function createSupabaseBackend(supabase) {
+  const items = {
+    async list() {
+      const { data, error } = await supabase
+        .from('items')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return (data || []).map(withoutGenerated);
+    },
+
+    async upsert(rows) {
+      const { error } = await supabase
+        .from('items')
+        .upsert(rows);
+
+      if (error) throw error;
+    },
+
+    // One request and one transaction for the whole batch (update_items in
+    // scripts/createTable.sql), so a group move never half-applies
+    async update(updates) {
+      const { error } = await supabase.rpc('update_items', { updates });
+
+      if (error) throw error;
+    },
+
+    async remove(ids) {
+      const { error } = await supabase
+        .from('items')
+        .delete()
+        .in('id', ids);
+
+      if (error) throw error;
+    },
+
+    // Full-text search over the generated search_vector column (see scripts/createTable.sql)
+    async search(query, limit = 100) {
+      const { data, error } = await supabase
+        .from('items')
+        .select('id')
+        .textSearch('search_vector', query, { type: 'websearch', config: 'english' })
+        .limit(limit);
+
+      if (error) throw error;
+      return (data || []).map(row => row.id);
+    }
+  };
+
+  const blobs = {
+    // Sent to a signed upload URL so the request can report progress and be aborted
+    async upload(path, blob, options) {
+      const { data, error } = await supabase.storage
+        .from('files')
+        .createSignedUploadUrl(path, { upsert: true });
+
+      if (error) throw error;
+      await putWithProgress(data.signedUrl, blob, options);
+    },
+
+    async download(path) {
+      const { data, error } = await supabase.storage
+        .from('files')
+        .download(path);
+
+      if (error) throw error;
+      return data;
+    },
+
+    async remove(paths) {
+      const { error } = await supabase.storage
+        .from('files')
+        .remove(paths);
+
+      if (error) throw error;
+    },
+
+    getPublicUrl(path) {
+      const { data } = supabase.storage
+        .from('files')
+        .getPublicUrl(path);
+
+      return data.publicUrl;
+    },
+
+    // Public bucket URLs are directly usable
+    resolveUrl(url) {
+      return url;
+    }
+  };
+
+  const subscribe = ({ onChange, onLivePatch }) => {
+    const channel = supabase
+      .channel('items-board', { config: { broadcast: { self: false } } })
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'items' }, (payload) => {
+        const record = payload.eventType === 'DELETE' ? payload.old : payload.new;
+        if (record) {
+          onChange(payload.eventType, withoutGenerated(record));
+        }
+      })
+      .on('broadcast', { event: 'live-patch' }, ({ payload }) => {
+        onLivePatch(payload.updates);
+      })
+      .subscribe((status) => {
+        console.log('Realtime channel status:', status);
+      });
+
+    return {
+      sendLivePatch: (updates) => {
+        channel.send({ type: 'broadcast', event: 'live-patch', payload: { updates } });
+      },
+      unsubscribe: () => supabase.removeChannel(channel)
+    };
+  };
+
+  return {
+    name: 'supabase',
+    requiresNetwork: true,
+    items,
+    blobs,
+    subscribe
+  };
+}
@@ -0,0 +1,135 @@
+import { blobToDataUrl, dataUrlToBlob } from "./blobUtils";
+import { getStoragePath } from "./itemPersistence";
+import { getItemErrors, sanitizeItem } from "./itemSchema";
+
+// Self-contained board export/import.
+//
+// A bundle is a single JSON document:
+//   {
+//     format: 'omnispace-board',
+//     version: 1,
+//     exported_at: ISO timestamp,
+//     items: [item rows as stored in the items table],
+//     files: { [storagePath]: { name, data: data URL } }
+//   }
+// Uploaded files are embedded so a bundle can move between projects. Importing
+// gives every item a fresh id, so the same bundle can be brought in twice.
+// Version 1 items must match the row schema in ./itemSchema.js; columns it
+// doesn't know are left out on import.
+
+export const BUNDLE_FORMAT = 'omnispace-board';
+export const BUNDLE_VERSION = 1;
+
+// Fields that hold another item's id and must follow the remapping on import
+const ID_REFERENCE_FIELDS = ['parent_id', 'source_id', 'target_id'];
+
+export async function createBundle(items, downloadFile) {
+  const files = {};
+
+  for (const item of items) {
+    const path = getStoragePath(item);
+    if (!path || files[path]) continue;
+
+    try {
+      const blob = await downloadFile(path);
+      files[path] = { name: item.file_name, data: await blobToDataUrl(blob) };
+    } catch (err) {
+      // The item still exports; it keeps pointing at the original URL
+      console.error(`Could not embed ${path}:`, err);
+    }
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    items: items,
+    files: files
+  };
+}
+
+// Returns a list of problems; an empty list means the bundle can be imported
+export function validateBundle(bundle) {
+  const errors = [];
+
+  if (!bundle || typeof bundle !== 'object') {
+    return ['Not a JSON object'];
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    errors.push(`Unknown format "${bundle.format}"`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    errors.push(`Unsupported version ${bundle.version} (this app reads up to ${BUNDLE_VERSION})`);
+  }
+  if (!Array.isArray(bundle.items)) {
+    errors.push('"items" must be an array');
+    return errors;
+  }
+  if (bundle.files !== undefined && (typeof bundle.files !== 'object' || bundle.files === null)) {
+    errors.push('"files" must be an object');
+  }
+
+  const ids = new Set();
+  bundle.items.forEach((item, index) => {
+    const where = `items[${index}]`;
+
+    if (!item || typeof item !== 'object') {
+      errors.push(`${where} is not an object`);
+      return;
+    }
+    getItemErrors(item).forEach(error => errors.push(`${where}.${error}`));
+    if (ids.has(item.id)) {
+      errors.push(`${where} has a duplicate id`);
+    }
+    ids.add(item.id);
+  });
+
+  Object.entries(bundle.files || {}).forEach(([path, file]) => {
+    if (!file || typeof file.data !== 'string' || !file.data.startsWith('data:')) {
+      errors.push(`files["${path}"] has no embedded data`);
+    }
+  });
+
+  return errors;
+}
+
+// Turn a validated bundle into fresh rows (known columns only) plus the blobs
+// to upload.
+// uploadPathFor(originalPath, name) picks the storage path for each file;
+// getPublicUrl(path) is the URL the new file item will point at.
+export function prepareImport(bundle, { uploadPathFor, getPublicUrl }) {
+  const idMap = new Map(bundle.items.map(item => [item.id, crypto.randomUUID()]));
+  const files = bundle.files || {};
+  const uploads = {}; // new path -> Blob
+  const baseTime = Date.now();
+
+  const rows = bundle.items.map((item, index) => {
+    const { id, created_at, ...fields } = sanitizeItem(item);
+    const row = {
+      ...fields,
+      id: idMap.get(id),
+      // Keep the exported stacking order
+      created_at: new Date(baseTime + index).toISOString()
+    };
+
+    ID_REFERENCE_FIELDS.forEach(field => {
+      if (row[field]) {
+        row[field] = idMap.get(row[field]) ?? null;
+      }
+    });
+
+    const originalPath = getStoragePath(item);
+    if (originalPath && files[originalPath]) {
+      const newPath = uploadPathFor(originalPath, files[originalPath].name || item.file_name);
+      uploads[newPath] = dataUrlToBlob(files[originalPath].data);
+      row.content = getPublicUrl(newPath);
+    }
+
+    return row;
+  });
+
+  // A connector whose other end didn't come along has nothing to point at
+  const connected = rows.filter(row => row.type !== 'connector' || (row.source_id && row.target_id));
+
+  return { rows: connected, uploads };
+}
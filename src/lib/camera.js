@@ -0,0 +1,63 @@
+// Camera helpers: framing an item and animating between camera positions.
+//
+// A camera is { x, y, zoom } where x/y is the world point at the center of
+// the viewport.
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 5;
+
+export const clampZoom = (zoom) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+
+// Camera centered on an item (or any { x, y, width, height } box), zoomed so
+// it fills `fill` of the viewport (but never closer than `maxZoom`, so small
+// notes don't become huge)
+export const getCameraForItem = (item, viewportWidth, viewportHeight, maxZoom = 1.5, fill = 0.5) => ({
+  x: item.x + item.width / 2,
+  y: item.y + item.height / 2,
+  zoom: clampZoom(Math.min(
+    (viewportWidth * fill) / Math.max(item.width, 1),
+    (viewportHeight * fill) / Math.max(item.height, 1),
+    maxZoom
+  ))
+});
+
+// World-space rectangle shown by the camera, grown by `margin` (a fraction of
+// the viewport) on every side
+export const getVisibleBounds = (camera, viewportWidth, viewportHeight, margin = 0) => {
+  const width = viewportWidth / camera.zoom;
+  const height = viewportHeight / camera.zoom;
+  return {
+    x: camera.x - width / 2 - width * margin,
+    y: camera.y - height / 2 - height * margin,
+    width: width * (1 + margin * 2),
+    height: height * (1 + margin * 2)
+  };
+};
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+// Calls onFrame(camera) every animation frame until `to` is reached.
+// Zoom is interpolated geometrically so zooming in and out feel the same speed.
+// Returns a function that stops the animation.
+export function animateCamera(from, to, onFrame, duration = 450) {
+  const start = performance.now();
+  let frame = null;
+
+  const step = (now) => {
+    const t = Math.min(1, (now - start) / duration);
+    const eased = easeInOut(t);
+
+    onFrame({
+      x: from.x + (to.x - from.x) * eased,
+      y: from.y + (to.y - from.y) * eased,
+      zoom: from.zoom * Math.pow(to.zoom / from.zoom, eased)
+    });
+
+    if (t < 1) {
+      frame = requestAnimationFrame(step);
+    }
+  };
+
+  frame = requestAnimationFrame(step);
+  return () => cancelAnimationFrame(frame);
+}
@@ -0,0 +1,83 @@
+import { BUNDLE_FORMAT, BUNDLE_VERSION } from "./boardBundle";
+import { sanitizeItem } from "./itemSchema";
+
+// Clipboard payloads for copying items between boards and tabs.
+//
+// Copied items go out as a file-less board bundle under a custom MIME type
+// (so pasting reuses bundle validation and id remapping), plus a plain-text
+// rendering for pasting into other apps. Any page can put JSON under that
+// type, so pasted rows go through the same schema as imported boards and the
+// ones that fail it are dropped.
+
+export const CLIPBOARD_TYPE = 'application/x-omnispace+json';
+
+const URL_PATTERN = /^https?:\/\/[^\s]+$/i;
+
+export const isUrl = (text) => URL_PATTERN.test(text.trim());
+
+const itemToText = (item) => {
+  switch (item.type) {
+    case 'text':
+      return item.content || '';
+    case 'rectangle':
+      return `# ${item.content || 'Untitled'}`;
+    case 'file':
+      return `${item.file_name}: ${item.content}`;
+    case 'link':
+      return item.content;
+    default:
+      return '';
+  }
+};
+
+// File-less bundle of items; duplicating pastes one of these directly
+export const createClipboardBundle = (items) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exported_at: new Date().toISOString(),
+  items: items,
+  files: {}
+});
+
+export function writeItemsToClipboard(clipboardData, items) {
+  clipboardData.setData(CLIPBOARD_TYPE, JSON.stringify(createClipboardBundle(items)));
+  clipboardData.setData('text/plain', items.map(itemToText).filter(Boolean).join('\n\n'));
+}
+
+// Items that pass the row schema, or null if none do
+const readItemsBundle = (json) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(json);
+  } catch (err) {
+    console.error('Ignoring malformed clipboard items:', err);
+    return null;
+  }
+
+  const items = Array.isArray(bundle?.items) ? bundle.items : [];
+  const valid = items.map(sanitizeItem).filter(Boolean);
+  if (valid.length < items.length) {
+    console.error(`Ignoring ${items.length - valid.length} invalid clipboard item(s)`);
+  }
+  return valid.length > 0 ? { ...bundle, items: valid } : null;
+};
+
+// What a paste event carries, most specific first:
+//   { kind: 'items', bundle } | { kind: 'files', files } | { kind: 'url', url } | { kind: 'text', text } | null
+export function readClipboard(clipboardData) {
+  const json = clipboardData.getData(CLIPBOARD_TYPE);
+  const bundle = json ? readItemsBundle(json) : null;
+  if (bundle) {
+    return { kind: 'items', bundle };
+  }
+
+  const files = [...clipboardData.files];
+  if (files.length > 0) {
+    return { kind: 'files', files };
+  }
+
+  const text = clipboardData.getData('text/plain');
+  if (!text.trim()) return null;
+
+  return isUrl(text) ? { kind: 'url', url: text.trim() } : { kind: 'text', text };
+}
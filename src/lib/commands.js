@@ -0,0 +1,161 @@
+// Command registry and keyboard bindings.
+//
+// Every keyboard-reachable action is a command:
+//   { id, title, category, keys: ['mod+z', ...], run() }
+// run() may return false to say "not applicable right now", in which case the
+// key press is left to the browser. Pointer gestures that can't be bound are
+// registered alongside as documentation-only entries:
+//   { id, title, category, gesture: 'Double Click' | ['Middle Click', 'Space + Left Click'] }
+// The Controls panel and the Ctrl+K palette are both generated from here.
+//
+// A binding is a lowercase string like 'mod+shift+z' ('mod' is Ctrl, or Cmd
+// on macOS). Users can remap commands; their overrides are stored per user as
+// { [commandId]: [binding, ...] } and replace the command's default keys.
+
+export const CATEGORIES = [
+  { id: 'navigation', title: '🖱️ Navigation' },
+  { id: 'content', title: '✏️ Content Management' },
+  { id: 'folders', title: '📦 Folders (Rectangles)' },
+  { id: 'connectors', title: '↗️ Connectors' },
+  { id: 'drawing', title: '🖊️ Drawing' },
+  { id: 'arrange', title: '🗂️ Arrange' },
+  { id: 'board', title: '💾 Board' }
+];
+
+export const isRunnable = (command) => typeof command.run === 'function';
+
+export function createCommandRegistry() {
+  const entries = new Map();
+  const listeners = new Set();
+  let snapshot = [];
+
+  const changed = () => {
+    snapshot = [...entries.values()];
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    // Returns a function that unregisters the same commands
+    register(commands) {
+      commands.forEach(command => entries.set(command.id, command));
+      changed();
+      return () => {
+        commands.forEach(command => {
+          if (entries.get(command.id) === command) entries.delete(command.id);
+        });
+        changed();
+      };
+    },
+
+    get: (id) => entries.get(id),
+
+    // Same array until the registry changes (usable with useSyncExternalStore)
+    list: () => snapshot,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+export const commandRegistry = createCommandRegistry();
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const MODIFIER_KEYS = ['Control', 'Meta', 'Shift', 'Alt'];
+
+// Binding string for a keydown event, or null for a bare modifier.
+// Letters and digits come from the physical key so Shift+1 stays 'shift+1';
+// other printable keys use the character typed, which already includes Shift.
+export const eventToBinding = (e) => {
+  if (MODIFIER_KEYS.includes(e.key)) return null;
+
+  let key;
+  let shift = e.shiftKey;
+  if (/^Key[A-Z]$/.test(e.code)) {
+    key = e.code.slice(3).toLowerCase();
+  } else if (/^Digit[0-9]$/.test(e.code)) {
+    key = e.code.slice(5);
+  } else if (e.key.length === 1) {
+    key = e.key === ' ' ? 'space' : e.key.toLowerCase();
+    shift = shift && key === 'space';
+  } else {
+    key = e.key.toLowerCase();
+  }
+
+  return [
+    (e.ctrlKey || e.metaKey) && 'mod',
+    e.altKey && 'alt',
+    shift && 'shift',
+    key
+  ].filter(Boolean).join('+');
+};
+
+const KEY_LABELS = {
+  mod: IS_MAC ? '⌘' : 'Ctrl',
+  alt: IS_MAC ? '⌥' : 'Alt',
+  shift: 'Shift',
+  escape: 'Esc',
+  delete: 'Delete',
+  backspace: 'Backspace',
+  space: 'Space',
+  enter: 'Enter',
+  tab: 'Tab',
+  arrowup: '↑',
+  arrowdown: '↓',
+  arrowleft: '←',
+  arrowright: '→'
+};
+
+// ['Ctrl', 'Shift', 'Z'] for 'mod+shift+z'
+export const formatBinding = (binding) =>
+  binding.split(/\+(?!$)/).map(part => KEY_LABELS[part] || part.toUpperCase());
+
+const bindingsKey = (userId) => `omnispace-keybindings:${userId}`;
+
+export const loadBindingOverrides = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(bindingsKey(userId))) || {};
+  } catch (err) {
+    console.error('Ignoring unreadable keyboard bindings:', err);
+    return {};
+  }
+};
+
+export const saveBindingOverrides = (userId, overrides) => {
+  localStorage.setItem(bindingsKey(userId), JSON.stringify(overrides));
+};
+
+// Map of command id -> bindings in effect
+export const resolveBindings = (commands, overrides) => new Map(
+  commands
+    .filter(isRunnable)
+    .map(command => [command.id, overrides[command.id] || command.keys || []])
+);
+
+export const findCommandForBinding = (binding, commands, bindings) =>
+  commands.find(command => isRunnable(command) && (bindings.get(command.id) || []).includes(binding));
+
+// Subsequence match, e.g. "zf" finds "Zoom to Fit". Higher scores for
+// consecutive letters and word starts; null when the query doesn't match.
+export const fuzzyScore = (query, text) => {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (!q) return 0;
+
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of q) {
+    const index = t.indexOf(char, from);
+    if (index === -1) return null;
+
+    if (index === previous + 1) score += 3;
+    if (index === 0 || /[\s\-/(]/.test(t[index - 1])) score += 2;
+    score -= (index - from) * 0.1;
+
+    previous = index;
+    from = index + 1;
+  }
+  return score;
+};
@@ -0,0 +1,107 @@
+import { stackItems } from "./zOrder";
+
+// Connectors: arrows between two items.
+//
+// A connector is its own row (type 'connector') holding source_id, target_id,
+// an optional label in `content` and connector_style
+// { routing: 'straight' | 'elbow', start_head, end_head } with heads being
+// 'none' | 'arrow' | 'dot'. Its x/y/width/height are unused; the path is
+// computed from the current bounds of both endpoints, so arrows follow items
+// as they are dragged or resized.
+
+export const DEFAULT_CONNECTOR_STYLE = { routing: 'straight', start_head: 'none', end_head: 'arrow' };
+
+export const ARROWHEAD_STYLES = ['none', 'arrow', 'dot'];
+
+export const isConnector = (item) => item.type === 'connector';
+
+export const getConnectorStyle = (connector) => ({
+  ...DEFAULT_CONNECTOR_STYLE,
+  ...(connector.connector_style || {})
+});
+
+// Connectors with at least one end on one of the given items
+export const getAttachedConnectorIds = (ids, items) =>
+  items
+    .filter(i => isConnector(i) && (ids.includes(i.source_id) || ids.includes(i.target_id)))
+    .map(i => i.id);
+
+// Connectors with both ends on the given items
+export const getConnectorsBetween = (ids, items) =>
+  items.filter(i => isConnector(i) && ids.includes(i.source_id) && ids.includes(i.target_id));
+
+const centerOf = (rect) => ({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+
+// Where the line from the rectangle's center toward a point crosses its edge
+const edgePoint = (rect, toward) => {
+  const center = centerOf(rect);
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  if (dx === 0 && dy === 0) return center;
+
+  const scale = Math.min(
+    dx === 0 ? Infinity : rect.width / 2 / Math.abs(dx),
+    dy === 0 ? Infinity : rect.height / 2 / Math.abs(dy)
+  );
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+};
+
+// Straight path from an item's edge to a free point (used while drawing)
+export const getDraftPath = (source, point) => [edgePoint(source, point), point];
+
+// Polyline for a connector between two rectangles
+export const routeConnector = (source, target, routing) => {
+  const from = centerOf(source);
+  const to = centerOf(target);
+
+  if (routing !== 'elbow') {
+    return [edgePoint(source, to), edgePoint(target, from)];
+  }
+
+  // Leave and enter through the facing sides, turning once halfway
+  if (Math.abs(to.x - from.x) >= Math.abs(to.y - from.y)) {
+    const direction = Math.sign(to.x - from.x) || 1;
+    const start = { x: from.x + (direction * source.width) / 2, y: from.y };
+    const end = { x: to.x - (direction * target.width) / 2, y: to.y };
+    const midX = (start.x + end.x) / 2;
+    return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+  }
+
+  const direction = Math.sign(to.y - from.y) || 1;
+  const start = { x: from.x, y: from.y + (direction * source.height) / 2 };
+  const end = { x: to.x, y: to.y - (direction * target.height) / 2 };
+  const midY = (start.y + end.y) / 2;
+  return [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+};
+
+// { points, labelPoint } for a connector, or null if an endpoint is missing
+export const getConnectorGeometry = (connector, itemsById) => {
+  const source = itemsById.get(connector.source_id);
+  const target = itemsById.get(connector.target_id);
+  if (!source || !target) return null;
+
+  const points = routeConnector(source, target, getConnectorStyle(connector).routing);
+
+  // Label sits on the middle segment
+  const middle = Math.floor((points.length - 1) / 2);
+  const a = points[middle];
+  const b = points[middle + 1];
+  return { points, labelPoint: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } };
+};
+
+export const toPathData = (points) =>
+  points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+
+// Topmost item under a world point, in drawing order: cards first, then the
+// top folder (nested folders sit above their parents)
+export const findItemAt = (point, items, excludeIds = []) => {
+  const hits = items.filter(i =>
+    !isConnector(i) &&
+    !excludeIds.includes(i.id) &&
+    point.x >= i.x && point.x <= i.x + i.width &&
+    point.y >= i.y && point.y <= i.y + i.height
+  );
+
+  const { folders, cards } = stackItems(hits);
+  return cards[cards.length - 1] || folders[folders.length - 1] || null;
+};
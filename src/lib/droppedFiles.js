@@ -0,0 +1,49 @@
+// Collect every file from a drop, descending into dropped folders.
+//
+// Folders are only exposed through the (non-standard but universally
+// supported) webkitGetAsEntry API; plain file lists are used as a fallback.
+
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const entries = [];
+
+  // readEntries returns results in batches until it yields an empty one
+  const readBatch = () => {
+    reader.readEntries(batch => {
+      if (batch.length === 0) {
+        resolve(entries);
+      } else {
+        entries.push(...batch);
+        readBatch();
+      }
+    }, reject);
+  };
+  readBatch();
+});
+
+const entryToFiles = async (entry) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [file];
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    const nested = await Promise.all(children.map(entryToFiles));
+    return nested.flat();
+  }
+  return [];
+};
+
+export async function getDroppedFiles(dataTransfer) {
+  // Entries must be taken synchronously, before the drop event returns
+  const entries = [...(dataTransfer.items || [])]
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return [...dataTransfer.files];
+  }
+
+  const files = await Promise.all(entries.map(entryToFiles));
+  return files.flat().filter(file => !file.name.startsWith('.')); // Skip .DS_Store and friends
+}
@@ -0,0 +1,174 @@
+// File type detection and preview generation for file items.
+//
+// Previews are generated once, when the file is added, and stored on the item
+// (mime_type, thumbnail as a small data URL, preview_text for text files) so
+// cards render without downloading the full file again. The thumbnail travels
+// with the row everywhere (queries, realtime, the local cache), so it is kept
+// to a small JPEG of a few KB.
+
+const THUMBNAIL_SIZE = 240; // Longest edge, in pixels
+const THUMBNAIL_QUALITY = 0.6;
+const THUMBNAIL_BACKGROUND = '#111'; // Matches image cards; JPEG has no transparency
+const PREVIEW_TEXT_LENGTH = 8000; // Characters kept for text/code previews
+
+const MIME_BY_EXTENSION = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+  webp: 'image/webp', svg: 'image/svg+xml', bmp: 'image/bmp', avif: 'image/avif',
+  pdf: 'application/pdf',
+  mp4: 'video/mp4', webm: 'video/webm', mov: 'video/quicktime', m4v: 'video/mp4', ogv: 'video/ogg',
+  mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', m4a: 'audio/mp4', flac: 'audio/flac', aac: 'audio/aac',
+  txt: 'text/plain', md: 'text/markdown', csv: 'text/csv', json: 'application/json',
+  js: 'text/javascript', jsx: 'text/javascript', ts: 'text/typescript', tsx: 'text/typescript',
+  css: 'text/css', html: 'text/html', xml: 'text/xml', yml: 'text/yaml', yaml: 'text/yaml',
+  py: 'text/x-python', rb: 'text/x-ruby', go: 'text/x-go', rs: 'text/x-rust', java: 'text/x-java',
+  c: 'text/x-c', h: 'text/x-c', cpp: 'text/x-c++', sh: 'text/x-shellscript', sql: 'text/x-sql'
+};
+
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'application/javascript'];
+
+export const detectMimeType = (fileName, reportedType) => {
+  if (reportedType) return reportedType;
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return MIME_BY_EXTENSION[extension] || 'application/octet-stream';
+};
+
+// Which card layout a file item gets: image | pdf | video | audio | text | other
+export const getFileKind = (item) => {
+  const mime = item.mime_type || detectMimeType(item.file_name);
+
+  if (mime.startsWith('image/')) return 'image';
+  if (mime === 'application/pdf') return 'pdf';
+  if (mime.startsWith('video/')) return 'video';
+  if (mime.startsWith('audio/')) return 'audio';
+  if (mime.startsWith('text/') || TEXT_MIME_TYPES.includes(mime)) return 'text';
+  return 'other';
+};
+
+// Draw a source (image, video frame, canvas) scaled down into a JPEG data URL
+const toThumbnail = (source, width, height) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = THUMBNAIL_BACKGROUND;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', THUMBNAIL_QUALITY);
+};
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('Could not decode image'));
+  image.src = url;
+});
+
+const imagePreview = async (file) => {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await loadImage(url);
+    const width = image.naturalWidth || THUMBNAIL_SIZE;
+    const height = image.naturalHeight || THUMBNAIL_SIZE;
+    return { thumbnail: toThumbnail(image, width, height), aspect: width / height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const videoPreview = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'auto';
+
+  // Some containers never report a seekable frame; don't hang the drop
+  const timer = setTimeout(() => finish(null, new Error('Timed out reading video')), 10000);
+
+  const finish = (result, error) => {
+    clearTimeout(timer);
+    URL.revokeObjectURL(url);
+    if (error) reject(error); else resolve(result);
+  };
+
+  video.onloadeddata = () => {
+    // Skip a possible black first frame
+    video.currentTime = Math.min(1, video.duration / 10 || 0);
+  };
+  video.onseeked = () => {
+    const { videoWidth: width, videoHeight: height } = video;
+    finish({ thumbnail: toThumbnail(video, width, height), aspect: width / height });
+  };
+  video.onerror = () => finish(null, new Error('Could not decode video'));
+  video.src = url;
+});
+
+const pdfPreview = async (file) => {
+  // pdf.js is large, so it is only loaded the first time a PDF is added
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    const unscaled = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_SIZE / Math.max(unscaled.width, unscaled.height) });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+    return { thumbnail: toThumbnail(canvas, canvas.width, canvas.height), aspect: unscaled.width / unscaled.height };
+  } finally {
+    pdf.destroy();
+  }
+};
+
+const textPreview = async (file) => ({
+  preview_text: (await file.slice(0, PREVIEW_TEXT_LENGTH * 4).text()).slice(0, PREVIEW_TEXT_LENGTH)
+});
+
+// Fields to store on a new file item, plus the natural aspect ratio (width /
+// height) when there is one. Preview failures are not fatal: the card falls
+// back to the generic icon.
+export async function createFilePreview(file) {
+  const mimeType = detectMimeType(file.name, file.type);
+  const fields = { mime_type: mimeType, thumbnail: null, preview_text: null };
+  let aspect = null;
+
+  try {
+    const kind = getFileKind({ mime_type: mimeType });
+    let preview = null;
+
+    if (kind === 'image') preview = await imagePreview(file);
+    else if (kind === 'video') preview = await videoPreview(file);
+    else if (kind === 'pdf') preview = await pdfPreview(file);
+    else if (kind === 'text') preview = await textPreview(file);
+
+    if (preview) {
+      const { aspect: previewAspect, ...previewFields } = preview;
+      Object.assign(fields, previewFields);
+      aspect = previewAspect || null;
+    }
+  } catch (err) {
+    console.error(`Could not generate a preview for ${file.name}:`, err);
+  }
+
+  return { fields, aspect };
+}
+
+// Default card size for a new file item
+export const getFileCardSize = (kind, aspect) => {
+  if (kind === 'audio') return { width: 280, height: 90 };
+  if (kind === 'text') return { width: 300, height: 220 };
+  if (!aspect) return { width: 180, height: 120 };
+
+  const width = aspect >= 1 ? 240 : Math.round(240 * aspect);
+  const height = aspect >= 1 ? Math.round(240 / aspect) : 240;
+  return { width: Math.max(width, 80), height: Math.max(height, 60) };
+};
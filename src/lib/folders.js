@@ -0,0 +1,82 @@
+// Folder (rectangle) hierarchy helpers.
+//
+// Membership is stored in each item's parent_id. Geometry is only used when
+// an item is created or dropped, to decide which folder adopts it.
+
+const area = (item) => (item.width || 0) * (item.height || 0);
+
+const centerOf = (item) => ({
+  x: item.x + (item.width || 0) / 2,
+  y: item.y + (item.height || 0) / 2
+});
+
+const containsPoint = (rect, point) =>
+  point.x >= rect.x && point.x <= rect.x + rect.width &&
+  point.y >= rect.y && point.y <= rect.y + rect.height;
+
+// Direct children of a folder
+export const getChildren = (folderId, items) =>
+  items.filter(i => i.parent_id === folderId);
+
+// Every item nested (at any depth) inside a folder
+export const getDescendantIds = (folderId, items) => {
+  const result = [];
+  const queue = [folderId];
+
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    getChildren(parentId, items).forEach(child => {
+      if (!result.includes(child.id)) {
+        result.push(child.id);
+        queue.push(child.id);
+      }
+    });
+  }
+  return result;
+};
+
+// Nesting depth (0 = top level); guards against cycles from bad data
+export const getDepth = (item, itemsById) => {
+  let depth = 0;
+  let parentId = item.parent_id;
+  const seen = new Set([item.id]);
+
+  while (parentId && itemsById.has(parentId) && !seen.has(parentId)) {
+    seen.add(parentId);
+    depth += 1;
+    parentId = itemsById.get(parentId).parent_id;
+  }
+  return depth;
+};
+
+// Deepest folder whose bounds contain the item's center. Folders in excludeIds
+// (the item itself and anything moving with it) can't adopt it, and a folder
+// can only sit inside a larger one.
+export const findContainingFolder = (item, items, excludeIds = []) => {
+  // Connectors live between items, not inside folders
+  if (item.type === 'connector') return null;
+
+  const center = centerOf(item);
+
+  const candidates = items.filter(folder =>
+    folder.type === 'rectangle' &&
+    folder.id !== item.id &&
+    !excludeIds.includes(folder.id) &&
+    (item.type !== 'rectangle' || area(folder) > area(item)) &&
+    containsPoint(folder, center)
+  );
+
+  if (candidates.length === 0) return null;
+
+  // The smallest containing folder is the innermost one
+  return candidates.reduce((best, folder) => (area(folder) < area(best) ? folder : best));
+};
+
+// Walk up from parentId to the first ancestor that isn't being removed
+export const findSurvivingAncestor = (parentId, removedIds, itemsById) => {
+  let current = parentId;
+  while (current && removedIds.includes(current)) {
+    current = itemsById.get(current)?.parent_id ?? null;
+  }
+  return current ?? null;
+};
@@ -0,0 +1,66 @@
+// Command-based undo/redo history.
+//
+// A command is { label, undo, redo } where undo/redo may be async. The caller
+// performs the original action itself and then pushes the command, so the
+// history only ever replays. Undo/redo calls are chained so a slow network
+// round-trip can't interleave with the next Ctrl+Z.
+
+const DEFAULT_LIMIT = 100;
+
+export function createHistory({ limit = DEFAULT_LIMIT, onChange } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let pending = Promise.resolve();
+
+  const notify = () => {
+    if (onChange) {
+      onChange({ canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 });
+    }
+  };
+
+  const push = (command) => {
+    undoStack.push(command);
+    if (undoStack.length > limit) {
+      undoStack.shift();
+    }
+    // A new action invalidates anything that was undone before it
+    redoStack.length = 0;
+    notify();
+  };
+
+  const step = (from, to, run) => {
+    pending = pending.then(async () => {
+      const command = from.pop();
+      if (!command) return;
+
+      try {
+        await run(command);
+        to.push(command);
+      } catch (err) {
+        // Put it back so the user can retry once the backend recovers
+        from.push(command);
+        console.error(`Failed to replay "${command.label}":`, err);
+      }
+      notify();
+    });
+    return pending;
+  };
+
+  const undo = () => step(undoStack, redoStack, (command) => command.undo());
+  const redo = () => step(redoStack, undoStack, (command) => command.redo());
+
+  const clear = () => {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+  };
+
+  return {
+    push,
+    undo,
+    redo,
+    clear,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0
+  };
+}
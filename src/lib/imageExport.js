@@ -0,0 +1,245 @@
+import { stackItems } from "./zOrder";
+import { getConnectorGeometry, getConnectorStyle, isConnector, toPathData } from "./connectors";
+import { getStrokeStyle, getStrokeWorldPoints, toStrokePath } from "./strokes";
+import { markdownToPlainText } from "./markdown";
+import { getItemStyle, getTextColor } from "./itemStyles";
+
+// Render board items to a standalone SVG, and rasterize that SVG to PNG.
+//
+// The live canvas is a CSS-transformed DOM tree, which doesn't screenshot
+// well, so each item type is redrawn here from its data. Colors and metrics
+// mirror CanvasItem.css; keep the two in sync when restyling items.
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const BACKGROUNDS = { dark: '#1a1a1a', transparent: null };
+
+const TEXT_PADDING = 12;
+const TEXT_LINE_HEIGHT = 1.5; // Times the note's font size
+const TITLE_HEIGHT = 24; // Folder titles sit this far above the border
+
+let measureContext = null;
+
+const measure = (text, font) => {
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+  measureContext.font = font;
+  return measureContext.measureText(text).width;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap like `white-space: pre-wrap; word-wrap: break-word`
+const wrapText = (text, maxWidth, font) => {
+  const lines = [];
+
+  String(text || '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/(\s+)/).forEach(word => {
+      const candidate = line + word;
+      if (measure(candidate, font) <= maxWidth || line === '') {
+        line = candidate;
+      } else {
+        lines.push(line.trimEnd());
+        line = word.trimStart();
+      }
+
+      // A single word wider than the note is broken by character
+      while (measure(line, font) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && measure(line.slice(0, cut), font) > maxWidth) cut -= 1;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+const truncate = (text, maxWidth, font) => {
+  if (measure(text, font) <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && measure(text.slice(0, end) + '…', font) > maxWidth) end -= 1;
+  return text.slice(0, end) + '…';
+};
+
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+const renderRectangle = (item) => {
+  const title = item.content || 'Untitled';
+  const font = `500 14px ${FONT_FAMILY}`;
+  const titleWidth = measure(title, font) + 24;
+  const style = getItemStyle(item);
+
+  return `
+  <rect x="${item.x + 1}" y="${item.y + 1}" width="${Math.max(item.width - 2, 0)}" height="${Math.max(item.height - 2, 0)}" rx="4" fill="${escapeXml(style.background)}" fill-opacity="${style.fill_opacity}" stroke="${escapeXml(style.border)}" stroke-width="2"/>
+  <rect x="${item.x}" y="${item.y - TITLE_HEIGHT}" width="${titleWidth}" height="27" rx="4" fill="#2a2a2a" fill-opacity="0.95" stroke="#ffffff" stroke-opacity="0.2"/>
+  <text x="${item.x + 12}" y="${item.y - TITLE_HEIGHT + 18}" fill="white" font-family="${escapeXml(FONT_FAMILY)}" font-size="14" font-weight="500">${escapeXml(title)}</text>`;
+};
+
+const renderText = (item, index) => {
+  const style = getItemStyle(item);
+  const size = style.font_size;
+  const lineHeight = size * TEXT_LINE_HEIGHT;
+  const font = `${style.font_weight} ${size}px ${FONT_FAMILY}`;
+  const lines = wrapText(markdownToPlainText(item.content), item.width - TEXT_PADDING * 2, font);
+  const clipId = `note-clip-${index}`;
+
+  const anchor = TEXT_ANCHORS[style.text_align] || 'start';
+  const x = anchor === 'middle'
+    ? item.x + item.width / 2
+    : anchor === 'end' ? item.x + item.width - TEXT_PADDING : item.x + TEXT_PADDING;
+  const firstBaseline = item.y + TEXT_PADDING + (lineHeight - size) / 2 + size * 0.8;
+
+  const tspans = lines.map((line, i) =>
+    `<tspan x="${x}" y="${firstBaseline + i * lineHeight}">${escapeXml(line)}</tspan>`
+  ).join('');
+
+  return `
+  <clipPath id="${clipId}"><rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="6"/></clipPath>
+  <rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="6" fill="${escapeXml(style.background)}" stroke="${escapeXml(style.border)}"/>
+  <text clip-path="url(#${clipId})" fill="${getTextColor(style.background)}" font-family="${escapeXml(FONT_FAMILY)}" font-size="${size}" font-weight="${style.font_weight}" text-anchor="${anchor}" xml:space="preserve">${tspans}</text>`;
+};
+
+const renderFile = (item) => {
+  // Image, PDF and video cards draw their stored thumbnail
+  if (item.thumbnail) {
+    return `
+  <rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="8" fill="#111111"/>
+  <image href="${escapeXml(item.thumbnail)}" x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" preserveAspectRatio="xMidYMid meet"/>`;
+  }
+
+  const font = `500 12px ${FONT_FAMILY}`;
+  const name = truncate(item.file_name || '', item.width - 24, font);
+  const centerX = item.x + item.width / 2;
+  const centerY = item.y + item.height / 2;
+
+  return `
+  <rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="8" fill="white"/>
+  <text x="${centerX}" y="${centerY - 4}" text-anchor="middle" font-size="32">📄</text>
+  <text x="${centerX}" y="${centerY + 22}" text-anchor="middle" fill="#333" font-family="${escapeXml(FONT_FAMILY)}" font-size="12" font-weight="500">${escapeXml(name)}</text>`;
+};
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url || '';
+  }
+};
+
+const renderLink = (item) => {
+  const font = `600 13px ${FONT_FAMILY}`;
+  const title = item.link_meta?.title || hostnameOf(item.content);
+  const url = truncate(item.content || '', item.width - 24, `11px ${FONT_FAMILY}`);
+
+  return `
+  <rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" rx="8" fill="#2a2a2a" stroke="#ffffff" stroke-opacity="0.1"/>
+  <text x="${item.x + 12}" y="${item.y + item.height / 2 - 3}" fill="white" font-family="${escapeXml(FONT_FAMILY)}" font-size="13" font-weight="600">${escapeXml(truncate(title, item.width - 24, font))}</text>
+  <text x="${item.x + 12}" y="${item.y + item.height / 2 + 13}" fill="#4a9eff" font-family="${escapeXml(FONT_FAMILY)}" font-size="11">${escapeXml(url)}</text>`;
+};
+
+// Drawn from world points rather than a scaled viewBox so resized strokes keep their thickness
+const renderStroke = (item) => {
+  const style = getStrokeStyle(item);
+  return `
+  <path d="${toStrokePath(getStrokeWorldPoints(item))}" fill="none" stroke="${escapeXml(style.color)}" stroke-opacity="${style.opacity}" stroke-width="${style.size}" stroke-linecap="round" stroke-linejoin="round"/>`;
+};
+
+// Arrowheads are drawn as plain shapes rather than <marker>s, which some
+// rasterizers ignore
+const renderHead = (head, tip, from) => {
+  if (head === 'dot') {
+    return `<circle cx="${tip.x}" cy="${tip.y}" r="4" fill="#ffffff" fill-opacity="0.7"/>`;
+  }
+  if (head !== 'arrow') return '';
+
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const corner = (offset) => `${tip.x - 10 * Math.cos(angle + offset)},${tip.y - 10 * Math.sin(angle + offset)}`;
+  return `<polygon points="${tip.x},${tip.y} ${corner(0.45)} ${corner(-0.45)}" fill="#ffffff" fill-opacity="0.7"/>`;
+};
+
+const renderConnector = (connector, itemsById) => {
+  const geometry = getConnectorGeometry(connector, itemsById);
+  if (!geometry) return '';
+
+  const { points, labelPoint } = geometry;
+  const style = getConnectorStyle(connector);
+  const label = connector.content
+    ? `<text x="${labelPoint.x}" y="${labelPoint.y}" fill="white" stroke="#1a1a1a" stroke-width="4" paint-order="stroke" text-anchor="middle" dominant-baseline="middle" font-family="${escapeXml(FONT_FAMILY)}" font-size="12">${escapeXml(connector.content)}</text>`
+    : '';
+
+  return `
+  <path d="${toPathData(points)}" fill="none" stroke="#ffffff" stroke-opacity="0.7" stroke-width="2"/>
+  ${renderHead(style.start_head, points[0], points[1])}${renderHead(style.end_head, points[points.length - 1], points[points.length - 2])}${label}`;
+};
+
+const ITEM_RENDERERS = { text: renderText, file: renderFile, link: renderLink, stroke: renderStroke };
+
+// Bounds of a set of items including folder titles, padded for breathing room
+export const getExportBounds = (allItems, padding = 24) => {
+  const items = allItems.filter(i => !isConnector(i));
+  const left = Math.min(...items.map(i => i.x));
+  const right = Math.max(...items.map(i => i.x + (i.width || 0)));
+  const top = Math.min(...items.map(i => i.y - (i.type === 'rectangle' ? TITLE_HEIGHT : 0)));
+  const bottom = Math.max(...items.map(i => i.y + (i.height || 0)));
+
+  return {
+    x: left - padding,
+    y: top - padding,
+    width: right - left + padding * 2,
+    height: bottom - top + padding * 2
+  };
+};
+
+// bounds is the world-space region to draw; background is 'dark' or 'transparent'
+export function renderSvg(items, bounds, { background = 'dark' } = {}) {
+  const itemsById = new Map(items.map(i => [i.id, i]));
+
+  // Same stacking as the canvas: folders, connectors, then files and notes
+  const { folders, connectors, cards: others } = stackItems(items);
+
+  const body = [
+    ...folders.map(renderRectangle),
+    ...connectors.map(connector => renderConnector(connector, itemsById)),
+    ...others.map((item, index) => (ITEM_RENDERERS[item.type] || renderFile)(item, index))
+  ].join('');
+
+  const fill = BACKGROUNDS[background];
+  const backdrop = fill
+    ? `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" fill="${fill}"/>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${bounds.width}" height="${bounds.height}" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}">
+  ${backdrop}${body}
+</svg>`;
+}
+
+// Rasterize an SVG string at `scale` device pixels per world unit
+export function svgToPng(svg, width, height, scale = 1) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image is too large to export'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render SVG'));
+    };
+    image.src = url;
+  });
+}
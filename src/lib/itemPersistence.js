@@ -0,0 +1,124 @@
+import { backend } from "./backend";
+import { rememberLocalWrite, rememberLocalDelete } from "./localWrites";
+import { createSyncQueue, isNetworkError } from "./syncQueue";
+import { addToOutbox, getOutbox, removeFromOutbox, putBlob, getBlob, deleteBlob } from "./localCache";
+
+// Offline-first writes to the items repository and file blob store.
+//
+// Every write is queued in the durable outbox and resolves as soon as it is
+// stored locally; the sync queue replays it against the configured backend
+// (see ./backend.js) when reachable. Writes don't throw: failures, local or
+// remote, reach syncQueue.onRejected listeners instead.
+// New rows get client-side ids so they can be referenced before they sync.
+// Every write is also remembered so its realtime echo can be ignored.
+
+// Storage path of a file item (last segment of its public URL)
+export const getStoragePath = (item) => {
+  if (item.type !== 'file' || !item.content) return null;
+  const urlParts = item.content.split('/');
+  return decodeURIComponent(urlParts[urlParts.length - 1]);
+};
+
+// Runs one queued operation against the backend (called by the sync queue)
+const executeOperation = async (operation) => {
+  switch (operation.type) {
+    case 'upsert':
+      // Inserts replay as upserts so a retried batch can't hit duplicate ids
+      return backend.items.upsert(operation.rows);
+
+    case 'update':
+      return backend.items.update(operation.updates);
+
+    case 'delete':
+      return backend.items.remove(operation.ids);
+
+    case 'upload': {
+      const blob = await getBlob(operation.path);
+      if (!blob) return; // Already uploaded by an earlier replay
+
+      await backend.blobs.upload(operation.path, blob);
+      await deleteBlob(operation.path);
+      return;
+    }
+
+    case 'removeFiles':
+      return backend.blobs.remove(operation.paths);
+
+    default:
+      throw new Error(`Unknown operation type: ${operation.type}`);
+  }
+};
+
+export const syncQueue = createSyncQueue({
+  outbox: { add: addToOutbox, list: getOutbox, remove: removeFromOutbox },
+  execute: executeOperation,
+  requiresNetwork: backend.requiresNetwork
+});
+
+export const fetchItems = () => backend.items.list();
+
+// Reads go straight to the backend; callers fall back to local matching offline
+export const searchItemsOnServer = (query) => backend.items.search(query);
+
+export const insertItems = async (rows) => {
+  const now = new Date().toISOString();
+  const created = rows.map(row => ({ id: crypto.randomUUID(), created_at: now, ...row }));
+  if (created.length === 0) return created;
+
+  rememberLocalWrite(created);
+  await syncQueue.enqueue({ type: 'upsert', rows: created });
+  return created;
+};
+
+// updates: [{ id, ...changedFields }]
+export const updateItems = async (updates) => {
+  if (updates.length === 0) return;
+  rememberLocalWrite(updates);
+  await syncQueue.enqueue({ type: 'update', updates });
+};
+
+export const deleteItems = async (ids) => {
+  if (ids.length === 0) return;
+  rememberLocalDelete(ids);
+  await syncQueue.enqueue({ type: 'delete', ids });
+};
+
+// Keeps the blob locally until the upload replays; the public URL is known up
+// front. Throws if the blob can't be stored locally.
+export const uploadFile = async (path, blob) => {
+  await putBlob(path, blob);
+  await syncQueue.enqueue({ type: 'upload', path });
+
+  return backend.blobs.getPublicUrl(path);
+};
+
+// Uploads right away so a dropped file's card shows real progress and can be
+// cancelled; goes through the outbox instead when the network is unavailable.
+// options: { onProgress, signal }
+export const uploadFileNow = async (path, blob, options) => {
+  if (syncQueue.getStatus() === 'offline') {
+    return uploadFile(path, blob);
+  }
+
+  try {
+    await backend.blobs.upload(path, blob, options);
+  } catch (err) {
+    if (err.name === 'AbortError' || !backend.requiresNetwork || !isNetworkError(err)) throw err;
+    return uploadFile(path, blob);
+  }
+
+  return backend.blobs.getPublicUrl(path);
+};
+
+export const downloadFile = async (path) => {
+  // Not uploaded yet - the only copy is local
+  const localBlob = await getBlob(path);
+  if (localBlob) return localBlob;
+
+  return backend.blobs.download(path);
+};
+
+export const removeFiles = async (paths) => {
+  if (paths.length === 0) return;
+  await syncQueue.enqueue({ type: 'removeFiles', paths });
+};
@@ -0,0 +1,96 @@
+// Schema of item rows that arrive from outside the app: imported board files
+// and items pasted from the clipboard, which any page can write.
+//
+// Only the columns below are kept, and each must have the right type. URLs
+// that end up in window.open or an <img> must be http(s), so a crafted row
+// can't plant a javascript: or data: link that runs when the item is clicked.
+// (File items may also use the local backend's local:// file URLs.)
+
+export const ITEM_TYPES = ['file', 'text', 'rectangle', 'link', 'connector', 'stroke'];
+
+const LOCAL_FILE_PREFIX = 'local://files/';
+
+const isNullable = (check) => (value) => value === null || value === undefined || check(value);
+
+const isString = (value) => typeof value === 'string';
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isTimestamp = (value) => isString(value) && !Number.isNaN(Date.parse(value));
+
+const isHttpUrl = (value) => {
+  if (!isString(value)) return false;
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const isFileUrl = (value) => isHttpUrl(value) || (isString(value) && value.startsWith(LOCAL_FILE_PREFIX));
+
+// Thumbnails are drawn as images: an inline raster image or an http(s) URL
+const isThumbnail = (value) => isHttpUrl(value) || (isString(value) && /^data:image\/(png|jpeg|webp|gif);/.test(value));
+
+const LINK_META_FIELDS = {
+  title: isNullable(isString),
+  description: isNullable(isString),
+  image: isNullable(isHttpUrl),
+  favicon: isNullable(isHttpUrl),
+  fetched_at: isNullable(isTimestamp),
+  error: isNullable(isString)
+};
+
+const isLinkMeta = (value) => isObject(value) &&
+  Object.entries(value).every(([key, field]) => LINK_META_FIELDS[key]?.(field));
+
+// column -> check; content is checked per type below
+const COLUMNS = {
+  id: isString,
+  type: (value) => ITEM_TYPES.includes(value),
+  x: isNumber,
+  y: isNumber,
+  width: isNumber,
+  height: isNumber,
+  content: isNullable(isString),
+  file_name: isNullable(isString),
+  mime_type: isNullable(isString),
+  thumbnail: isNullable(isThumbnail),
+  preview_text: isNullable(isString),
+  link_meta: isNullable(isLinkMeta),
+  parent_id: isNullable(isString),
+  source_id: isNullable(isString),
+  target_id: isNullable(isString),
+  connector_style: isNullable(isObject),
+  stroke_style: isNullable(isObject),
+  z_index: isNullable(isNumber),
+  style: isNullable(isObject),
+  created_at: isNullable(isTimestamp)
+};
+
+const CONTENT_CHECKS = {
+  link: isHttpUrl,
+  file: isFileUrl
+};
+
+// Problems with one row, as "field: reason" strings; empty when it is valid
+export function getItemErrors(item) {
+  if (!isObject(item)) return ['not an object'];
+
+  const errors = Object.entries(COLUMNS)
+    .filter(([column, check]) => !check(item[column]))
+    .map(([column]) => `${column}: invalid value`);
+
+  const checkContent = CONTENT_CHECKS[item.type];
+  if (checkContent && !checkContent(item.content)) {
+    errors.push(`content: ${item.type} items need an http(s) URL`);
+  }
+  return errors;
+}
+
+// The row reduced to known columns, or null if any of them is invalid
+export function sanitizeItem(item) {
+  if (getItemErrors(item).length > 0) return null;
+  return Object.fromEntries(
+    Object.keys(COLUMNS).filter(column => item[column] !== undefined).map(column => [column, item[column]])
+  );
+}
@@ -0,0 +1,98 @@
+// Per-item appearance of notes and folders.
+//
+// Stored in the `style` column as
+//   { background, border, fill_opacity, font_size, font_weight, text_align }
+// with every field optional: missing fields fall back to the defaults below,
+// so unstyled items keep looking the way they always have. Notes use the
+// colors and font fields; folders use the colors and fill_opacity (the
+// background is their fill, drawn at that opacity).
+
+export const STYLEABLE_TYPES = ['text', 'rectangle'];
+
+export const isStyleable = (item) => STYLEABLE_TYPES.includes(item.type);
+
+const DEFAULTS = {
+  text: {
+    background: '#2a2a2a',
+    border: 'rgba(255, 255, 255, 0.1)',
+    font_size: 14,
+    font_weight: 'normal',
+    text_align: 'left'
+  },
+  rectangle: {
+    background: '#4a9eff',
+    border: 'rgba(255, 255, 255, 0.4)',
+    fill_opacity: 0
+  }
+};
+
+// Sticky-note presets set background and border together
+export const STICKY_PRESETS = [
+  { name: 'Yellow', background: '#fff176', border: '#e6d05a' },
+  { name: 'Orange', background: '#ffb74d', border: '#e69a30' },
+  { name: 'Pink', background: '#f48fb1', border: '#d96f93' },
+  { name: 'Green', background: '#aed581', border: '#8fba5e' },
+  { name: 'Blue', background: '#81d4fa', border: '#5cb8e0' },
+  { name: 'Purple', background: '#ce93d8', border: '#b072bb' }
+];
+
+export const COLORS = ['#2a2a2a', '#ffffff', '#ff5252', '#ffb74d', '#ffd84a', '#66bb6a', '#4a9eff', '#ab47bc'];
+
+export const FONT_SIZES = [
+  { label: 'S', value: 12 },
+  { label: 'M', value: 14 },
+  { label: 'L', value: 20 },
+  { label: 'XL', value: 28 }
+];
+
+export const FILL_OPACITIES = [0, 0.1, 0.25, 0.5];
+
+// Folders have no fill by default; picking a fill color switches it on at this opacity
+const FILL_OPACITY_ON_COLOR = 0.25;
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+// The item's style with defaults filled in
+export const getItemStyle = (item) => ({
+  ...(DEFAULTS[item.type] || {}),
+  ...(item.style || {})
+});
+
+// Only the fields that apply to this item's type, so a mixed selection
+// doesn't give notes a fill opacity or folders a font size. A fill color for
+// an unfilled folder also turns its fill on, so the choice is visible.
+export const pickStyleFields = (item, fields) => {
+  const picked = Object.fromEntries(
+    Object.entries(fields).filter(([key]) => key in (DEFAULTS[item.type] || {}))
+  );
+
+  const turnsFillOn = item.type === 'rectangle' && 'background' in picked &&
+    !('fill_opacity' in picked) && getItemStyle(item).fill_opacity === 0;
+  if (turnsFillOn) {
+    picked.fill_opacity = FILL_OPACITY_ON_COLOR;
+  }
+  return picked;
+};
+
+const parseHex = (color) => {
+  const match = /^#([0-9a-f]{6})$/i.exec(color);
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Light backgrounds get dark text
+export const isLightColor = (color) => {
+  const rgb = parseHex(color);
+  if (!rgb) return false;
+  const [r, g, b] = rgb;
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150;
+};
+
+export const getTextColor = (background) => (isLightColor(background) ? '#1a1a1a' : '#ffffff');
+
+// `color` at `opacity`, for folder fills
+export const withOpacity = (color, opacity) => {
+  const rgb = parseHex(color);
+  return rgb ? `rgba(${rgb.join(', ')}, ${opacity})` : color;
+};
@@ -0,0 +1,73 @@
+// IndexedDB storage for offline use.
+//
+// items  - last known board state, so the canvas opens instantly and offline
+// outbox - durable queue of pending writes, replayed in insertion order
+// blobs  - files uploaded while offline, kept until their upload replays
+
+const DB_NAME = 'omnispace';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('items', { keyPath: 'id' });
+        db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+        db.createObjectStore('blobs');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn(store) in a transaction; resolves with the last request's result once committed
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = fn(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Items cache
+export const getCachedItems = () =>
+  withStore('items', 'readonly', (store) => store.getAll());
+
+export const replaceCachedItems = (rows) =>
+  withStore('items', 'readwrite', (store) => {
+    store.clear();
+    rows.forEach(row => store.put(row));
+  });
+
+// Outbox
+export const addToOutbox = (operation) =>
+  withStore('outbox', 'readwrite', (store) => store.add(operation));
+
+export const getOutbox = () =>
+  withStore('outbox', 'readonly', (store) => store.getAll());
+
+export const removeFromOutbox = (seq) =>
+  withStore('outbox', 'readwrite', (store) => store.delete(seq));
+
+// Offline file uploads
+export const putBlob = (path, blob) =>
+  withStore('blobs', 'readwrite', (store) => store.put(blob, path));
+
+export const getBlob = (path) =>
+  withStore('blobs', 'readonly', (store) => store.get(path));
+
+export const deleteBlob = (path) =>
+  withStore('blobs', 'readwrite', (store) => store.delete(path));
@@ -0,0 +1,76 @@
+// Rows this tab wrote recently, so their realtime echoes can be told apart
+// from other clients' changes.
+//
+// The persistence layer remembers every write before it is queued; the
+// realtime subscription drops change events that match one.
+
+const ECHO_WINDOW_MS = 10000; // How long our own writes are remembered
+
+// id -> [{ fields, at }] snapshots of rows this tab wrote recently
+const localWrites = new Map();
+
+const prune = (now) => {
+  for (const [id, snapshots] of localWrites) {
+    const fresh = snapshots.filter(s => now - s.at < ECHO_WINDOW_MS);
+    if (fresh.length > 0) {
+      localWrites.set(id, fresh);
+    } else {
+      localWrites.delete(id);
+    }
+  }
+};
+
+// Remember rows or partial updates ({ id, ...fields }) we are about to write
+export const rememberLocalWrite = (rows) => {
+  const now = Date.now();
+  prune(now);
+  rows.forEach(({ id, ...fields }) => {
+    if (!id) return;
+    localWrites.set(id, [...(localWrites.get(id) || []), { fields, at: now }]);
+  });
+};
+
+export const rememberLocalDelete = (ids) => {
+  const now = Date.now();
+  ids.forEach(id => {
+    localWrites.set(id, [...(localWrites.get(id) || []), { deleted: true, at: now }]);
+  });
+};
+
+// Structural equality for column values: JSONB columns (style, link_meta, ...)
+// come back as new objects, and JSONB doesn't keep key order
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => isSameValue(a[key], b[key]));
+};
+
+// Postgres sends timestamptz back in its own format (+00:00, microseconds),
+// so these are compared as instants rather than strings
+const TIMESTAMP_COLUMNS = ['created_at'];
+
+const isSameColumn = (key, written, received) => {
+  if (TIMESTAMP_COLUMNS.includes(key) && written && received) {
+    return Date.parse(written) === Date.parse(received);
+  }
+  return isSameValue(written, received);
+};
+
+// A change event is an echo if it matches any recent write from this tab.
+// Matching older snapshots too means out-of-order echoes can't cause flicker.
+export const isLocalEcho = (eventType, record) => {
+  const snapshots = localWrites.get(record.id);
+  if (!snapshots) return false;
+
+  const now = Date.now();
+  return snapshots.some(s => {
+    if (now - s.at >= ECHO_WINDOW_MS) return false;
+    if (eventType === 'DELETE') return s.deleted;
+    if (s.deleted) return false;
+    return Object.keys(s.fields).every(key => isSameColumn(key, s.fields[key], record[key]));
+  });
+};
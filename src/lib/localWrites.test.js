@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isLocalEcho, rememberLocalDelete, rememberLocalWrite } from "./localWrites.js";
+
+test('recognizes the echo of a partial update', () => {
+  rememberLocalWrite([{ id: 'a', x: 10, y: 20 }]);
+
+  assert.equal(isLocalEcho('UPDATE', { id: 'a', x: 10, y: 20, content: 'note' }), true);
+  assert.equal(isLocalEcho('UPDATE', { id: 'a', x: 10, y: 25, content: 'note' }), false);
+});
+
+test('passes through changes to rows this tab never wrote', () => {
+  assert.equal(isLocalEcho('UPDATE', { id: 'someone-else', x: 0 }), false);
+});
+
+test('compares JSON columns by value regardless of key order', () => {
+  rememberLocalWrite([{ id: 'b', style: { background: '#fff', border: '#000' } }]);
+
+  assert.equal(isLocalEcho('UPDATE', { id: 'b', style: { border: '#000', background: '#fff' } }), true);
+  assert.equal(isLocalEcho('UPDATE', { id: 'b', style: { border: '#000' } }), false);
+});
+
+test('compares created_at as an instant', () => {
+  rememberLocalWrite([{ id: 'c', type: 'text', created_at: '2026-01-02T03:04:05.678Z' }]);
+
+  assert.equal(isLocalEcho('INSERT', { id: 'c', type: 'text', created_at: '2026-01-02T03:04:05.678+00:00' }), true);
+});
+
+test('matches an older write that echoes after a newer one', () => {
+  rememberLocalWrite([{ id: 'd', x: 1 }]);
+  rememberLocalWrite([{ id: 'd', x: 2 }]);
+
+  assert.equal(isLocalEcho('UPDATE', { id: 'd', x: 1 }), true);
+  assert.equal(isLocalEcho('UPDATE', { id: 'd', x: 2 }), true);
+});
+
+test('recognizes the echo of a delete', () => {
+  rememberLocalDelete(['e']);
+
+  assert.equal(isLocalEcho('DELETE', { id: 'e' }), true);
+  assert.equal(isLocalEcho('DELETE', { id: 'f' }), false);
+});
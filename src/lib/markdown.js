@@ -0,0 +1,199 @@
+// Small Markdown parser for text notes.
+//
+// Produces a plain block/inline tree that components render as React
+// elements. Nothing is ever injected as HTML, so raw HTML in a note shows up
+// as literal text, and links are limited to safe protocols.
+//
+// Supported: # headings, **bold**, *italic*, ~~strike~~, `code`, ``` fences,
+// [links](https://...), > quotes, --- rules, - / 1. lists and - [ ] tasks.
+// Single newlines inside a paragraph are kept as line breaks, matching how
+// notes looked before Markdown support.
+
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+const INLINE_PATTERNS = [
+  { type: 'code', regex: /`([^`]+)`/ },
+  { type: 'link', regex: /\[([^\]]+)\]\(([^)\s]+)\)/ },
+  { type: 'strong', regex: /\*\*(.+?)\*\*|__(.+?)__/ },
+  { type: 'del', regex: /~~(.+?)~~/ },
+  { type: 'em', regex: /\*(?!\s)(.+?)\*|\b_(.+?)_\b/ }
+];
+
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK = /^\[( |x|X)\]\s+(.*)$/;
+const QUOTE = /^>\s?(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const FENCE = /^\s*```/;
+
+export const isSafeLink = (href) => SAFE_LINK.test(href);
+
+// Inline text -> [{ type: 'text' | 'code' | 'strong' | 'em' | 'del' | 'link', ... }]
+export function parseInline(text) {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    // Earliest match wins; ties go to the pattern listed first
+    let best = null;
+    INLINE_PATTERNS.forEach(pattern => {
+      const match = pattern.regex.exec(rest);
+      if (match && (!best || match.index < best.match.index)) {
+        best = { type: pattern.type, match };
+      }
+    });
+
+    if (!best) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+
+    const { type, match } = best;
+    if (match.index > 0) {
+      nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+    }
+
+    const inner = match[1] ?? match[2];
+    if (type === 'code') {
+      nodes.push({ type, text: inner });
+    } else if (type === 'link') {
+      nodes.push(isSafeLink(match[2])
+        ? { type, href: match[2], children: parseInline(match[1]) }
+        : { type: 'text', text: match[0] });
+    } else {
+      nodes.push({ type, children: parseInline(inner) });
+    }
+
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return nodes;
+}
+
+// Source -> blocks. Every list item keeps its source line so task checkboxes
+// can be toggled in place.
+export function parseMarkdown(source) {
+  const lines = String(source || '').split('\n');
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  const closeOpenBlocks = () => {
+    paragraph = null;
+    list = null;
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (FENCE.test(line)) {
+      closeOpenBlocks();
+      const code = [];
+      index += 1;
+      while (index < lines.length && !FENCE.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      closeOpenBlocks();
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      closeOpenBlocks();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      closeOpenBlocks();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    const quote = QUOTE.exec(line);
+    if (quote) {
+      list = null;
+      if (paragraph && paragraph.type === 'quote') {
+        paragraph.lines.push(parseInline(quote[1]));
+      } else {
+        paragraph = { type: 'quote', lines: [parseInline(quote[1])] };
+        blocks.push(paragraph);
+      }
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      paragraph = null;
+      const ordered = /\d/.test(item[2]);
+      if (!list || list.ordered !== ordered) {
+        list = { type: 'list', ordered, items: [] };
+        blocks.push(list);
+      }
+
+      const task = TASK.exec(item[3]);
+      list.items.push({
+        line: index,
+        indent: Math.floor(item[1].replace(/\t/g, '  ').length / 2),
+        checked: task ? task[1] !== ' ' : null,
+        children: parseInline(task ? task[2] : item[3])
+      });
+      continue;
+    }
+
+    list = null;
+    if (paragraph && paragraph.type === 'paragraph') {
+      paragraph.lines.push(parseInline(line));
+    } else {
+      paragraph = { type: 'paragraph', lines: [parseInline(line)] };
+      blocks.push(paragraph);
+    }
+  }
+
+  return blocks;
+}
+
+// Flip the "[ ]" / "[x]" of the task on the given source line
+export function toggleTask(source, line) {
+  const lines = String(source || '').split('\n');
+  const item = LIST_ITEM.exec(lines[line] || '');
+  const task = item && TASK.exec(item[3]);
+  if (!task) return source;
+
+  const marker = task[1] === ' ' ? '[x]' : '[ ]';
+  lines[line] = `${item[1]}${item[2]} ${marker} ${task[2]}`;
+  return lines.join('\n');
+}
+
+const inlineToText = (nodes) => nodes
+  .map(node => (node.children ? inlineToText(node.children) : node.text))
+  .join('');
+
+// Readable plain text, for places that can't render Markdown (image export)
+export function markdownToPlainText(source) {
+  return parseMarkdown(source).map(block => {
+    switch (block.type) {
+      case 'heading':
+        return inlineToText(block.children);
+      case 'code':
+        return block.text;
+      case 'rule':
+        return '———';
+      case 'list':
+        return block.items.map((item, i) => {
+          const bullet = item.checked === null
+            ? (block.ordered ? `${i + 1}.` : '•')
+            : (item.checked ? '☑' : '☐');
+          return `${'  '.repeat(item.indent)}${bullet} ${inlineToText(item.children)}`;
+        }).join('\n');
+      default:
+        return block.lines.map(inlineToText).join('\n');
+    }
+  }).join('\n');
+}
@@ -0,0 +1,190 @@
+import { supabase } from "../supabaseClient";
+import { getBackendName } from "./backend";
+
+// Collaborator presence: who is on the board, where their cursor is, what
+// they are looking at and which items they are touching.
+//
+// A transport has the shape { connect(user, onPeers), publish(state), disconnect() }.
+// onPeers receives the latest state of every OTHER member. Two transports ship
+// with the app: Supabase Realtime presence and an in-memory hub for the local
+// backend, which only reaches transports in the same page.
+// VITE_PRESENCE_TRANSPORT=supabase|memory picks one; by default it follows
+// the persistence backend.
+
+const PUBLISH_INTERVAL_MS = 80; // Cursor updates are throttled to this rate
+const USER_STORAGE_KEY = 'omnispace-user';
+
+const COLORS = ['#ff6b6b', '#ffa94d', '#ffd43b', '#69db7c', '#38d9a9', '#4dabf7', '#9775fa', '#f783ac'];
+
+const colorFor = (id) => {
+  let hash = 0;
+  for (const char of id) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return COLORS[Math.abs(hash) % COLORS.length];
+};
+
+// Identity for this browser, persisted so a refresh keeps the same name/color
+export const getLocalUser = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(USER_STORAGE_KEY));
+    if (saved && saved.id && saved.name) {
+      return { ...saved, color: colorFor(saved.id) };
+    }
+  } catch (err) {
+    console.error('Could not read saved user:', err);
+  }
+
+  const id = crypto.randomUUID();
+  const user = { id, name: `Guest ${id.slice(0, 4).toUpperCase()}` };
+  localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(user));
+  return { ...user, color: colorFor(id) };
+};
+
+export const saveLocalUserName = (user, name) => {
+  localStorage.setItem(USER_STORAGE_KEY, JSON.stringify({ id: user.id, name }));
+  return { ...user, name };
+};
+
+// Supabase Realtime presence channel shared by everyone on the board
+export function createSupabasePresenceTransport(channelName = 'board-presence') {
+  let channel = null;
+  let lastState = null;
+  let subscribed = false;
+
+  return {
+    connect(user, onPeers) {
+      channel = supabase.channel(channelName, { config: { presence: { key: user.id } } });
+
+      channel
+        .on('presence', { event: 'sync' }, () => {
+          const state = channel.presenceState(); // key -> [metas]
+          const peers = Object.entries(state)
+            .filter(([key]) => key !== user.id)
+            .map(([, metas]) => metas[metas.length - 1]);
+          onPeers(peers);
+        })
+        .subscribe((status) => {
+          subscribed = status === 'SUBSCRIBED';
+          if (subscribed && lastState) {
+            channel.track(lastState);
+          }
+        });
+    },
+
+    publish(state) {
+      lastState = state;
+      if (channel && subscribed) {
+        channel.track(state);
+      }
+    },
+
+    disconnect() {
+      if (channel) {
+        supabase.removeChannel(channel);
+        channel = null;
+      }
+    }
+  };
+}
+
+// In-process broadcaster: every transport connected to the same hub sees the others
+export function createMemoryPresenceHub() {
+  const members = new Map(); // id -> { state, onPeers }
+
+  const notify = () => {
+    members.forEach((member, id) => {
+      const peers = [...members.entries()]
+        .filter(([otherId, other]) => otherId !== id && other.state)
+        .map(([, other]) => other.state);
+      member.onPeers(peers);
+    });
+  };
+
+  return {
+    join(id, onPeers) {
+      members.set(id, { state: null, onPeers });
+      notify();
+    },
+    set(id, state) {
+      const member = members.get(id);
+      if (!member) return;
+      member.state = state;
+      notify();
+    },
+    leave(id) {
+      members.delete(id);
+      notify();
+    }
+  };
+}
+
+const defaultHub = createMemoryPresenceHub();
+
+export function createMemoryPresenceTransport(hub = defaultHub) {
+  let userId = null;
+
+  return {
+    connect(user, onPeers) {
+      userId = user.id;
+      hub.join(userId, onPeers);
+    },
+    publish(state) {
+      hub.set(userId, state);
+    },
+    disconnect() {
+      hub.leave(userId);
+    }
+  };
+}
+
+export const createPresenceTransport = () => {
+  const name = import.meta.env.VITE_PRESENCE_TRANSPORT ||
+    (getBackendName() === 'local' ? 'memory' : 'supabase');
+
+  return name === 'memory'
+    ? createMemoryPresenceTransport()
+    : createSupabasePresenceTransport();
+};
+
+// Merges partial updates into this user's state and publishes at a bounded rate
+export function createPresence({ transport, user, onPeers }) {
+  let state = {
+    id: user.id,
+    name: user.name,
+    color: user.color,
+    cursor: null, // { x, y } world coordinates
+    viewport: null, // { x, y, zoom } camera
+    activeItemIds: [],
+    activity: null // 'dragging' | 'resizing' | 'editing'
+  };
+  let lastPublish = 0;
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    lastPublish = Date.now();
+    transport.publish(state);
+  };
+
+  transport.connect(user, onPeers);
+  flush();
+
+  return {
+    update(partial) {
+      state = { ...state, ...partial };
+
+      const remaining = PUBLISH_INTERVAL_MS - (Date.now() - lastPublish);
+      if (remaining <= 0) {
+        clearTimeout(timer);
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, remaining);
+      }
+    },
+    disconnect() {
+      clearTimeout(timer);
+      transport.disconnect();
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import { backend } from "./backend";
+import { isLocalEcho } from "./localWrites";
+
+// Live collaboration on top of the backend's change feed (Supabase Realtime,
+// or a BroadcastChannel between tabs for the local backend).
+//
+// Persisted changes arrive as insert/update/delete events. In-progress drags
+// are too chatty to write to the database, so they go out as broadcast "live
+// patches" on the same channel and are only persisted on mouseup. Events for
+// this tab's own writes are dropped (see ./localWrites.js).
+
+const LIVE_PATCH_INTERVAL_MS = 50; // Max broadcast rate while dragging
+
+// Latest-value throttle with a trailing call
+const throttle = (fn, wait) => {
+  let last = 0;
+  let timer = null;
+  let pendingArgs = null;
+
+  return (...args) => {
+    pendingArgs = args;
+    const remaining = wait - (Date.now() - last);
+
+    if (remaining <= 0) {
+      last = Date.now();
+      fn(...pendingArgs);
+    } else if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        last = Date.now();
+        fn(...pendingArgs);
+      }, remaining);
+    }
+  };
+};
+
+export function subscribeToItems({ onInsert, onUpdate, onDelete, onLivePatch }) {
+  const connection = backend.subscribe({
+    onChange: (eventType, record) => {
+      if (isLocalEcho(eventType, record)) return;
+
+      if (eventType === 'INSERT') {
+        onInsert(record);
+      } else if (eventType === 'UPDATE') {
+        onUpdate(record);
+      } else if (eventType === 'DELETE') {
+        onDelete(record.id);
+      }
+    },
+    onLivePatch: onLivePatch
+  });
+
+  return {
+    sendLivePatch: throttle(connection.sendLivePatch, LIVE_PATCH_INTERVAL_MS),
+    unsubscribe: connection.unsubscribe
+  };
+}
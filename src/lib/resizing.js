@@ -0,0 +1,71 @@
+// Geometry of resizing one item from any of its eight handles.
+//
+// A direction names the handle: 'n', 'ne', 'e', 'se', 's', 'sw', 'w' or 'nw'.
+// The edges opposite the handle stay put; dragging a 'n' or 'w' handle moves
+// the item's x/y as well as changing its size. With `fromCenter` (Alt) both
+// sides move and the center stays put.
+
+export const RESIZE_DIRECTIONS = ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw'];
+
+const MIN_SIZES = {
+  text: { width: 80, height: 40 },
+  file: { width: 100, height: 60 },
+  rectangle: { width: 100, height: 60 }
+};
+
+export const getMinSize = (item) => MIN_SIZES[item.type] || { width: 20, height: 20 };
+
+// Which edge moves on each axis, in the form snapResize takes
+export const getResizeEdges = (direction) => ({
+  x: direction.includes('w') ? 'start' : direction.includes('e') ? 'end' : null,
+  y: direction.includes('n') ? 'start' : direction.includes('s') ? 'end' : null
+});
+
+const SIGN = { start: -1, end: 1 };
+
+// Enforce the minimum size; a locked shape grows both sides to fit it, taking
+// its width as the one to keep
+export const clampSize = ({ width, height }, { aspectRatio = null, minWidth, minHeight }) => {
+  if (!aspectRatio) {
+    return { width: Math.max(minWidth, width), height: Math.max(minHeight, height) };
+  }
+  const lockedWidth = Math.max(width, minWidth, minHeight * aspectRatio);
+  return { width: lockedWidth, height: lockedWidth / aspectRatio };
+};
+
+// Position a box of the new size against the original: the edges opposite
+// the handle stay put, or the center does when fromCenter. Sides the handle
+// doesn't touch stay centered (they only change when the aspect is locked).
+export const placeBox = (original, direction, { width, height }, fromCenter = false) => {
+  const edges = getResizeEdges(direction);
+  const place = (axis, pos, size, newSize) => {
+    if (fromCenter || !edges[axis]) return original[pos] + (original[size] - newSize) / 2;
+    return edges[axis] === 'start' ? original[pos] + original[size] - newSize : original[pos];
+  };
+
+  return {
+    x: place('x', 'x', 'width', width),
+    y: place('y', 'y', 'height', height),
+    width,
+    height
+  };
+};
+
+// The box after dragging `direction`'s handle by (dx, dy) world units.
+// options: { aspectRatio, fromCenter, minWidth, minHeight }
+export const resizeBox = (original, direction, dx, dy, options) => {
+  const { aspectRatio = null, fromCenter = false } = options;
+  const edges = getResizeEdges(direction);
+  const scale = fromCenter ? 2 : 1; // Both sides move by the drag distance
+
+  let width = original.width + (edges.x ? SIGN[edges.x] * dx * scale : 0);
+  const height = original.height + (edges.y ? SIGN[edges.y] * dy * scale : 0);
+
+  if (aspectRatio) {
+    // Follow whichever moving edge went further, then derive the other
+    const followWidth = edges.x && (!edges.y || width / original.width > height / original.height);
+    if (!followWidth) width = height * aspectRatio;
+  }
+
+  return placeBox(original, direction, clampSize({ width, height }, options), fromCenter);
+};
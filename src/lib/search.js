@@ -0,0 +1,109 @@
+import { markdownToPlainText } from "./markdown";
+
+// Board search: matching, ranking and grouping of items by their text.
+//
+// Searchable text is a note's content, a folder's title, a file's name and a
+// link's title and URL. Matching is case-insensitive and every word of the
+// query has to appear somewhere in the item. This runs over the in-memory
+// items so unsynced edits are found too; with Supabase the server's full-text
+// search adds matches on word forms (see items.search in ./backend.js).
+
+export const SEARCH_LIMIT = 100;
+
+export const getSearchText = (item) => {
+  switch (item.type) {
+    case 'text':
+      return markdownToPlainText(item.content || '');
+    case 'rectangle':
+      return item.content || 'Untitled';
+    case 'file':
+      return item.file_name || '';
+    case 'link':
+      return [item.link_meta?.title, item.content].filter(Boolean).join(' ');
+    default:
+      return '';
+  }
+};
+
+const getTerms = (query) => query.toLowerCase().split(/\s+/).filter(Boolean);
+
+// Higher is better: whole phrase, then how early the first word appears
+const scoreMatch = (text, query, terms) => {
+  const lower = text.toLowerCase();
+  if (!terms.every(term => lower.includes(term))) return null;
+
+  const phraseIndex = lower.indexOf(query.trim().toLowerCase());
+  const firstIndex = lower.indexOf(terms[0]);
+  return (phraseIndex >= 0 ? 1000 : 0) - Math.min(firstIndex, 999);
+};
+
+// Items matching the query, best first
+export const matchItems = (query, items, limit = SEARCH_LIMIT) => {
+  const terms = getTerms(query);
+  if (terms.length === 0) return [];
+
+  return items
+    .map(item => ({ item, score: scoreMatch(getSearchText(item), query, terms) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => result.item);
+};
+
+// Folder titles from the outermost folder down to the item's own folder
+export const getFolderPath = (item, itemsById) => {
+  const path = [];
+  const seen = new Set();
+  let parent = itemsById.get(item.parent_id);
+
+  while (parent && !seen.has(parent.id)) {
+    seen.add(parent.id);
+    path.unshift(parent.content || 'Untitled');
+    parent = itemsById.get(parent.parent_id);
+  }
+  return path;
+};
+
+// [{ folderId, path, items }] in order of each folder's best result;
+// top-level items have folderId null and an empty path
+export const groupByFolder = (results, itemsById) => {
+  const groups = new Map();
+
+  results.forEach(item => {
+    const folderId = itemsById.has(item.parent_id) ? item.parent_id : null;
+    if (!groups.has(folderId)) {
+      groups.set(folderId, { folderId, path: getFolderPath(item, itemsById), items: [] });
+    }
+    groups.get(folderId).items.push(item);
+  });
+
+  return [...groups.values()];
+};
+
+// The part of the text around the first match: { before, match, after }
+export const getSnippet = (text, query, radius = 40) => {
+  const terms = getTerms(query);
+  const lower = text.toLowerCase();
+  const phrase = query.trim().toLowerCase();
+
+  let index = phrase ? lower.indexOf(phrase) : -1;
+  let length = phrase.length;
+  if (index < 0) {
+    const term = terms.find(t => lower.includes(t));
+    index = term ? lower.indexOf(term) : -1;
+    length = term ? term.length : 0;
+  }
+
+  const clean = (value) => value.replace(/\s+/g, ' ');
+  if (index < 0) {
+    return { before: clean(text.slice(0, radius * 2)), match: '', after: '' };
+  }
+
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + length + radius);
+  return {
+    before: (start > 0 ? '…' : '') + clean(text.slice(start, index)),
+    match: text.slice(index, index + length),
+    after: clean(text.slice(index + length, end)) + (end < text.length ? '…' : '')
+  };
+};
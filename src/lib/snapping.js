@@ -0,0 +1,212 @@
+// Snap-to-grid and smart alignment guides.
+//
+// While an item is dragged, resized or drawn, its edges and center are pulled
+// onto the edges and centers of nearby items (and onto even spacing between
+// neighbours) when they come within a few screen pixels. Otherwise, with the
+// grid enabled, positions round to the dot grid. Every function returns the
+// correction together with the guides to draw:
+//   lines: [{ x1, y1, x2, y2 }]          alignment lines
+//   gaps:  [{ x1, y1, x2, y2, size }]    equal-spacing hints
+
+export const GRID_SIZE = 30; // Matches the dot grid drawn on the viewport
+export const SNAP_THRESHOLD = 6; // Screen pixels
+
+const AXES = {
+  x: { pos: 'x', size: 'width', other: 'y' },
+  y: { pos: 'y', size: 'height', other: 'x' }
+};
+
+const EPSILON = 0.01;
+
+export const snapToGrid = (value, grid = GRID_SIZE) => Math.round(value / grid) * grid;
+
+const start = (box, axis) => box[AXES[axis].pos];
+const end = (box, axis) => box[AXES[axis].pos] + box[AXES[axis].size];
+const anchorsOf = (box, axis) => [start(box, axis), (start(box, axis) + end(box, axis)) / 2, end(box, axis)];
+
+const overlaps = (a, b, axis) => start(a, axis) < end(b, axis) && start(b, axis) < end(a, axis);
+
+// Smallest (target - anchor) within the threshold, or null
+const nearestOffset = (anchors, targets, threshold) => {
+  let best = null;
+  anchors.forEach(anchor => targets.forEach(target => {
+    const offset = target - anchor;
+    if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) {
+      best = offset;
+    }
+  }));
+  return best;
+};
+
+// Closest box before (or after) `box` along the axis that shares some of its span on the other axis
+const neighbour = (box, candidates, axis, side) => {
+  const { other } = AXES[axis];
+  let best = null;
+  candidates.forEach(c => {
+    if (!overlaps(c, box, other)) return;
+    if (side === 'before' && end(c, axis) <= start(box, axis) + EPSILON) {
+      if (!best || end(c, axis) > end(best, axis)) best = c;
+    }
+    if (side === 'after' && start(c, axis) >= end(box, axis) - EPSILON) {
+      if (!best || start(c, axis) < start(best, axis)) best = c;
+    }
+  });
+  return best;
+};
+
+// A gap hint between two boxes along the axis, drawn through the middle of their shared span
+const gapBetween = (a, b, axis) => {
+  const { other } = AXES[axis];
+  const from = Math.max(start(a, other), start(b, other));
+  const to = Math.min(end(a, other), end(b, other));
+  const middle = (from + to) / 2;
+  const size = start(b, axis) - end(a, axis);
+
+  return axis === 'x'
+    ? { x1: end(a, axis), y1: middle, x2: start(b, axis), y2: middle, size }
+    : { x1: middle, y1: end(a, axis), x2: middle, y2: start(b, axis), size };
+};
+
+// Positions (box start) that would space the box evenly between its neighbours
+// or continue the spacing of a neighbouring pair
+const spacingTargets = (box, candidates, axis) => {
+  const { size } = AXES[axis];
+  const before = neighbour(box, candidates, axis, 'before');
+  const after = neighbour(box, candidates, axis, 'after');
+  const targets = [];
+
+  if (before && after) {
+    const free = start(after, axis) - end(before, axis) - box[size];
+    if (free >= 0) {
+      targets.push({ value: end(before, axis) + free / 2, pairs: [[before, 'box'], ['box', after]] });
+    }
+  }
+  if (before) {
+    const beforeBefore = neighbour(before, candidates, axis, 'before');
+    if (beforeBefore) {
+      const gap = start(before, axis) - end(beforeBefore, axis);
+      targets.push({ value: end(before, axis) + gap, pairs: [[beforeBefore, before], [before, 'box']] });
+    }
+  }
+  if (after) {
+    const afterAfter = neighbour(after, candidates, axis, 'after');
+    if (afterAfter) {
+      const gap = start(afterAfter, axis) - end(after, axis);
+      targets.push({ value: start(after, axis) - gap - box[size], pairs: [['box', after], [after, afterAfter]] });
+    }
+  }
+  return targets;
+};
+
+// Alignment lines for the box's anchors that coincide with a candidate's anchors
+const alignmentLines = (box, candidates, axis, anchorIndexes) => {
+  const { other } = AXES[axis];
+  const byPosition = new Map();
+
+  const anchors = anchorsOf(box, axis).filter((_, i) => anchorIndexes.includes(i));
+  candidates.forEach(c => {
+    const targets = anchorsOf(c, axis);
+    anchors.forEach(anchor => {
+      if (!targets.some(t => Math.abs(t - anchor) < EPSILON)) return;
+      const from = Math.min(start(box, other), start(c, other));
+      const to = Math.max(end(box, other), end(c, other));
+      const line = byPosition.get(anchor);
+      byPosition.set(anchor, line
+        ? { from: Math.min(line.from, from), to: Math.max(line.to, to) }
+        : { from, to });
+    });
+  });
+
+  return [...byPosition.entries()].map(([position, { from, to }]) => (axis === 'x'
+    ? { x1: position, y1: from, x2: position, y2: to }
+    : { x1: from, y1: position, x2: to, y2: position }));
+};
+
+const resolvePairs = (pairs, box, axis) =>
+  pairs.map(([a, b]) => gapBetween(a === 'box' ? box : a, b === 'box' ? box : b, axis));
+
+// Snap a box being moved. Returns { dx, dy, lines, gaps }.
+// options: { threshold (world units), grid (boolean) }
+export function snapMove(box, candidates, { threshold, grid }) {
+  const result = { dx: 0, dy: 0, lines: [], gaps: [] };
+  const snapped = { ...box };
+  const spacing = {};
+
+  ['x', 'y'].forEach(axis => {
+    const { pos } = AXES[axis];
+    const targets = candidates.flatMap(c => anchorsOf(c, axis));
+    let offset = nearestOffset(anchorsOf(box, axis), targets, threshold);
+
+    // Even spacing wins when it is closer than any edge alignment
+    spacingTargets(box, candidates, axis).forEach(target => {
+      const spacingOffset = target.value - box[pos];
+      if (Math.abs(spacingOffset) <= threshold && (offset === null || Math.abs(spacingOffset) < Math.abs(offset))) {
+        offset = spacingOffset;
+        spacing[axis] = target;
+      }
+    });
+
+    if (offset === null && grid) {
+      offset = snapToGrid(box[pos]) - box[pos];
+    }
+    if (offset !== null) {
+      snapped[pos] += offset;
+      result[`d${axis}`] = offset;
+    }
+  });
+
+  ['x', 'y'].forEach(axis => {
+    result.lines.push(...alignmentLines(snapped, candidates, axis, [0, 1, 2]));
+    if (spacing[axis] && Math.abs(spacing[axis].value - snapped[AXES[axis].pos]) < EPSILON) {
+      result.gaps.push(...resolvePairs(spacing[axis].pairs, snapped, axis));
+    }
+  });
+
+  return result;
+}
+
+// Snap the moving edges of a box being resized. `edges` says which edge moves
+// on each axis: { x: 'start' | 'end' | null, y: 'start' | 'end' | null }.
+// Returns { box, lines, gaps } with the adjusted box.
+export function snapResize(box, edges, candidates, { threshold, grid }) {
+  const snapped = { ...box };
+  const lines = [];
+
+  ['x', 'y'].forEach(axis => {
+    const edge = edges[axis];
+    if (!edge) return;
+
+    const { pos, size } = AXES[axis];
+    const anchor = edge === 'start' ? start(box, axis) : end(box, axis);
+    const targets = candidates.flatMap(c => anchorsOf(c, axis));
+    let offset = nearestOffset([anchor], targets, threshold);
+
+    if (offset === null && grid) {
+      offset = snapToGrid(anchor) - anchor;
+    }
+    if (offset === null) return;
+
+    if (edge === 'start') {
+      snapped[pos] += offset;
+      snapped[size] -= offset;
+    } else {
+      snapped[size] += offset;
+    }
+  });
+
+  ['x', 'y'].forEach(axis => {
+    if (edges[axis]) {
+      lines.push(...alignmentLines(snapped, candidates, axis, [edges[axis] === 'start' ? 0 : 2]));
+    }
+  });
+
+  return { box: snapped, lines, gaps: [] };
+}
+
+// Snap a single point (a corner of a rectangle being drawn).
+// Returns { point, lines, gaps }.
+export function snapPoint(point, candidates, { threshold, grid }) {
+  const box = { x: point.x, y: point.y, width: 0, height: 0 };
+  const { box: snapped, lines } = snapResize(box, { x: 'end', y: 'end' }, candidates, { threshold, grid });
+  return { point: { x: snapped.x + snapped.width, y: snapped.y + snapped.height }, lines, gaps: [] };
+}
@@ -0,0 +1,154 @@
+// Freehand strokes drawn with the pen and highlighter tools.
+//
+// A stroke is a row of type 'stroke' whose x/y/width/height are the bounds of
+// the drawn line (padded by half its thickness). `content` holds the smoothed
+// points relative to the item's top-left corner as "x,y x,y ..." with one
+// decimal, and stroke_style is { tool, color, size, view_width, view_height }.
+// view_width/view_height are the bounds the points were recorded in, so a
+// stroke scales with its item when it is resized.
+
+export const STROKE_TOOLS = {
+  pen: { color: '#ffffff', size: 3, opacity: 1 },
+  highlighter: { color: '#ffd84a', size: 18, opacity: 0.35 }
+};
+
+export const isStrokeTool = (tool) => Boolean(STROKE_TOOLS[tool]);
+
+export const isStroke = (item) => item.type === 'stroke';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Distance from point p to segment ab
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Ramer-Douglas-Peucker: drop points that stay within `tolerance` of the line
+const simplify = (points, tolerance) => {
+  if (points.length < 3) return points;
+
+  let farthest = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], points[0], points[points.length - 1]);
+    if (distance > farthest) {
+      farthest = distance;
+      index = i;
+    }
+  }
+
+  if (farthest <= tolerance) return [points[0], points[points.length - 1]];
+  return [
+    ...simplify(points.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplify(points.slice(index), tolerance)
+  ];
+};
+
+// Average each point with its neighbours to take the jitter out of mouse input
+const smooth = (points) => points.map((point, i) => {
+  if (i === 0 || i === points.length - 1) return point;
+  const prev = points[i - 1];
+  const next = points[i + 1];
+  return {
+    x: (prev.x + point.x * 2 + next.x) / 4,
+    y: (prev.y + point.y * 2 + next.y) / 4
+  };
+});
+
+// Row fields for a stroke drawn through `points` (world coordinates).
+// `zoom` sets how much detail is kept: about half a screen pixel.
+export const createStroke = (points, tool, zoom = 1) => {
+  const { color, size } = STROKE_TOOLS[tool];
+  const cleaned = simplify(smooth(points), 0.5 / zoom);
+
+  const pad = size / 2;
+  const left = Math.min(...cleaned.map(p => p.x)) - pad;
+  const top = Math.min(...cleaned.map(p => p.y)) - pad;
+  const width = Math.max(...cleaned.map(p => p.x)) + pad - left;
+  const height = Math.max(...cleaned.map(p => p.y)) + pad - top;
+
+  return {
+    type: 'stroke',
+    x: left,
+    y: top,
+    width,
+    height,
+    content: cleaned.map(p => `${round(p.x - left)},${round(p.y - top)}`).join(' '),
+    stroke_style: { tool, color, size, view_width: width, view_height: height }
+  };
+};
+
+export const parseStrokePoints = (content) =>
+  (content || '').split(' ').filter(Boolean).map(pair => {
+    const [x, y] = pair.split(',').map(Number);
+    return { x, y };
+  });
+
+export const getStrokeStyle = (item) => ({
+  ...STROKE_TOOLS.pen,
+  ...(STROKE_TOOLS[item.stroke_style?.tool] || {}),
+  view_width: item.width,
+  view_height: item.height,
+  ...(item.stroke_style || {})
+});
+
+// Curved SVG path through the points: quadratic segments between midpoints
+export const toStrokePath = (points) => {
+  if (points.length === 0) return '';
+  if (points.length === 1) {
+    // A dot: zero-length line, drawn by the round line cap
+    return `M ${points[0].x} ${points[0].y} l 0.01 0`;
+  }
+
+  let d = `M ${points[0].x} ${points[0].y}`;
+  for (let i = 1; i < points.length - 1; i++) {
+    const midX = (points[i].x + points[i + 1].x) / 2;
+    const midY = (points[i].y + points[i + 1].y) / 2;
+    d += ` Q ${points[i].x} ${points[i].y} ${midX} ${midY}`;
+  }
+  const last = points[points.length - 1];
+  return `${d} L ${last.x} ${last.y}`;
+};
+
+// The stroke's points in world coordinates, following moves and resizes
+export const getStrokeWorldPoints = (item) => {
+  const style = getStrokeStyle(item);
+  const scaleX = item.width / (style.view_width || item.width || 1);
+  const scaleY = item.height / (style.view_height || item.height || 1);
+  return parseStrokePoints(item.content).map(p => ({
+    x: item.x + p.x * scaleX,
+    y: item.y + p.y * scaleY
+  }));
+};
+
+// Whether the eraser, moving from `from` to `to` with the given radius, touches the stroke
+export const strokeHitsSegment = (item, from, to, radius) => {
+  const reach = radius + getStrokeStyle(item).size / 2;
+  if (
+    Math.max(from.x, to.x) < item.x - reach || Math.min(from.x, to.x) > item.x + item.width + reach ||
+    Math.max(from.y, to.y) < item.y - reach || Math.min(from.y, to.y) > item.y + item.height + reach
+  ) {
+    return false;
+  }
+
+  const points = getStrokeWorldPoints(item);
+  if (points.length === 1) {
+    return distanceToSegment(points[0], from, to) <= reach;
+  }
+
+  // Sample the eraser's movement so fast swipes don't skip over thin strokes
+  const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / radius));
+  for (let s = 0; s <= steps; s++) {
+    const p = { x: from.x + ((to.x - from.x) * s) / steps, y: from.y + ((to.y - from.y) * s) / steps };
+    for (let i = 0; i < points.length - 1; i++) {
+      if (distanceToSegment(p, points[i], points[i + 1]) <= reach) return true;
+    }
+  }
+  return false;
+};
@@ -0,0 +1,137 @@
+// Replays queued writes against the backend in order.
+//
+// Operations are persisted to the outbox (IndexedDB in the app, see
+// ./localCache.js) before anything is sent, so edits survive a reload while
+// offline. A network failure pauses the queue
+// (status "offline") until the browser reports connectivity or the retry timer
+// fires; any other failure is a rejected write. It is dropped so it can't
+// block everything queued behind it, and reported to onRejected listeners so
+// the app can tell the user and reload the server's copy.
+
+const RETRY_INTERVAL_MS = 5000;
+
+// Whether a failed request never reached the server
+export const isNetworkError = (err) =>
+  !navigator.onLine || /failed to fetch|networkerror|load failed|network request failed/i.test(err?.message || '');
+
+// outbox is { add(operation), list(), remove(seq) }, list() returning the
+// stored operations oldest first, each with its seq.
+// requiresNetwork is false for backends that never leave the browser; their
+// failures are never treated as connectivity problems.
+export function createSyncQueue({ outbox, execute, requiresNetwork = true }) {
+  const isOnline = () => !requiresNetwork || navigator.onLine;
+
+  let status = isOnline() ? 'synced' : 'offline'; // 'offline' | 'syncing' | 'synced'
+  let pendingCount = 0;
+  let flushing = null;
+  let flushAgain = false;
+  let retryTimer = null;
+  const listeners = new Set();
+  const rejectedListeners = new Set();
+
+  const emit = (nextStatus) => {
+    status = nextStatus;
+    listeners.forEach(listener => listener({ status, pendingCount }));
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flush, RETRY_INTERVAL_MS);
+  };
+
+  const drain = async () => {
+    for (;;) {
+      const operations = await outbox.list();
+      pendingCount = operations.length;
+
+      if (operations.length === 0) {
+        emit('synced');
+        return;
+      }
+
+      emit('syncing');
+      const [operation] = operations;
+
+      try {
+        await execute(operation);
+      } catch (err) {
+        if (requiresNetwork && isNetworkError(err)) {
+          emit('offline');
+          scheduleRetry();
+          return;
+        }
+        reportRejected(operation, err);
+      }
+
+      await outbox.remove(operation.seq);
+    }
+  };
+
+  function flush() {
+    // An operation queued mid-drain may have missed the last outbox read
+    if (flushing) {
+      flushAgain = true;
+      return flushing;
+    }
+
+    flushing = drain()
+      .catch(err => console.error('Sync queue failed:', err))
+      .finally(() => {
+        flushing = null;
+        if (flushAgain) {
+          flushAgain = false;
+          flush();
+        }
+      });
+    return flushing;
+  }
+
+  const reportRejected = (operation, err) => {
+    rejectedListeners.forEach(listener => listener(operation, err));
+  };
+
+  // Never throws: an operation that can't be stored is reported to
+  // onRejected listeners like one the backend refused
+  const enqueue = async (operation) => {
+    try {
+      await outbox.add(operation);
+    } catch (err) {
+      reportRejected(operation, err);
+      return;
+    }
+    pendingCount += 1;
+
+    // Don't make callers wait for the network
+    if (status === 'offline' && !isOnline()) {
+      emit('offline');
+    } else {
+      flush();
+    }
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    listener({ status, pendingCount });
+    return () => listeners.delete(listener);
+  };
+
+  // listener(operation, error) for each write the backend refused or that
+  // couldn't be queued
+  const onRejected = (listener) => {
+    rejectedListeners.add(listener);
+    return () => rejectedListeners.delete(listener);
+  };
+
+  if (requiresNetwork) {
+    window.addEventListener('online', flush);
+    window.addEventListener('offline', () => emit('offline'));
+  }
+
+  return {
+    enqueue,
+    flush,
+    subscribe,
+    onRejected,
+    getStatus: () => status
+  };
+}
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSyncQueue } from "./syncQueue.js";
+
+// Browser globals the queue reads; Node has no connectivity events
+Object.defineProperty(globalThis, 'navigator', { value: { onLine: true }, configurable: true });
+globalThis.window = new EventTarget();
+
+// In-memory stand-in for the IndexedDB outbox
+const createOutbox = () => {
+  const operations = [];
+  let seq = 0;
+  return {
+    operations,
+    add: async (operation) => {
+      operations.push({ ...operation, seq: ++seq });
+    },
+    list: async () => [...operations],
+    remove: async (removed) => {
+      const index = operations.findIndex(operation => operation.seq === removed);
+      if (index !== -1) operations.splice(index, 1);
+    }
+  };
+};
+
+// Resolves once the queue reports `status`
+const waitForStatus = (queue, status) => new Promise(resolve => {
+  const unsubscribe = queue.subscribe(state => {
+    if (state.status !== status) return;
+    queueMicrotask(() => unsubscribe());
+    resolve();
+  });
+});
+
+test('replays queued operations in order and empties the outbox', async () => {
+  const outbox = createOutbox();
+  const executed = [];
+  const queue = createSyncQueue({ outbox, execute: async (operation) => { executed.push(operation.type); } });
+
+  await queue.enqueue({ type: 'upsert' });
+  await queue.enqueue({ type: 'update' });
+  await queue.enqueue({ type: 'delete' });
+  await queue.flush();
+
+  assert.deepEqual(executed, ['upsert', 'update', 'delete']);
+  assert.equal(outbox.operations.length, 0);
+  assert.equal(queue.getStatus(), 'synced');
+});
+
+test('keeps an operation queued through a network failure and replays it later', async () => {
+  const outbox = createOutbox();
+  let reachable = false;
+  const executed = [];
+  const queue = createSyncQueue({
+    outbox,
+    execute: async (operation) => {
+      if (!reachable) throw new TypeError('Failed to fetch');
+      executed.push(operation.type);
+    }
+  });
+
+  await queue.enqueue({ type: 'upsert' });
+  await queue.flush();
+  assert.equal(queue.getStatus(), 'offline');
+  assert.equal(outbox.operations.length, 1);
+
+  reachable = true;
+  const synced = waitForStatus(queue, 'synced');
+  window.dispatchEvent(new Event('online'));
+  await synced;
+  assert.deepEqual(executed, ['upsert']);
+  assert.equal(outbox.operations.length, 0);
+  assert.equal(queue.getStatus(), 'synced');
+});
+
+test('drops a rejected operation, reports it and carries on', async () => {
+  const outbox = createOutbox();
+  const executed = [];
+  const rejected = [];
+  const queue = createSyncQueue({
+    outbox,
+    requiresNetwork: false,
+    execute: async (operation) => {
+      if (operation.type === 'update') throw new Error('violates check constraint');
+      executed.push(operation.type);
+    }
+  });
+  queue.onRejected((operation, err) => rejected.push([operation.type, err.message]));
+
+  await queue.enqueue({ type: 'update' });
+  await queue.enqueue({ type: 'delete' });
+  await queue.flush();
+
+  assert.deepEqual(executed, ['delete']);
+  assert.deepEqual(rejected, [['update', 'violates check constraint']]);
+  assert.equal(outbox.operations.length, 0);
+});
+
+test('reports an operation the outbox cannot store instead of throwing', async () => {
+  const rejected = [];
+  const queue = createSyncQueue({
+    outbox: { ...createOutbox(), add: async () => { throw new Error('QuotaExceededError'); } },
+    requiresNetwork: false,
+    execute: async () => {}
+  });
+  queue.onRejected((operation) => rejected.push(operation.type));
+
+  await queue.enqueue({ type: 'upsert' });
+
+  assert.deepEqual(rejected, ['upsert']);
+});
@@ -0,0 +1,31 @@
+// Runs async tasks with at most `concurrency` of them in flight at once.
+// Tasks start in the order they were added.
+
+export function createTaskPool(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+
+    active += 1;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return {
+    // Resolves or rejects with the task's own result once it has run
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
@@ -0,0 +1,111 @@
+import { supabase } from "../supabaseClient";
+
+// Link metadata ("unfurling") for link cards.
+//
+// A provider has the shape { name, fetchMetadata(url) } and resolves to
+// { title, description, image, favicon } (any may be null). Three ship with
+// the app:
+//   http      GET VITE_UNFURL_URL?url=<url>, returning that JSON
+//   supabase  the `unfurl` Edge Function in supabase/functions/unfurl
+//   stub      no network; hostname as title and the site's /favicon.ico
+// VITE_UNFURL=http|supabase|stub picks one; by default http is used when
+// VITE_UNFURL_URL is set and the stub otherwise.
+//
+// Results are cached on the item as link_meta, together with fetched_at and an
+// `error` message when the page couldn't be reached.
+
+const TIMEOUT_MS = 8000;
+
+export function createHttpUnfurlProvider(endpoint) {
+  return {
+    name: 'http',
+    async fetchMetadata(url) {
+      const response = await fetch(`${endpoint}?url=${encodeURIComponent(url)}`, {
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`Unfurl service returned ${response.status}`);
+      }
+      return response.json();
+    }
+  };
+}
+
+export function createSupabaseUnfurlProvider(functionName = 'unfurl') {
+  return {
+    name: 'supabase',
+    async fetchMetadata(url) {
+      const { data, error } = await supabase.functions.invoke(functionName, { body: { url } });
+      if (error) throw error;
+      return data;
+    }
+  };
+}
+
+export function createStubUnfurlProvider() {
+  return {
+    name: 'stub',
+    async fetchMetadata(url) {
+      const { hostname, origin } = new URL(url);
+      return {
+        title: hostname.replace(/^www\./, ''),
+        description: null,
+        image: null,
+        favicon: `${origin}/favicon.ico`
+      };
+    }
+  };
+}
+
+export const createUnfurlProvider = () => {
+  const endpoint = import.meta.env.VITE_UNFURL_URL;
+  const name = import.meta.env.VITE_UNFURL || (endpoint ? 'http' : 'stub');
+
+  if (name === 'http' && endpoint) return createHttpUnfurlProvider(endpoint);
+  if (name === 'supabase' && supabase) return createSupabaseUnfurlProvider();
+  return createStubUnfurlProvider();
+};
+
+const provider = createUnfurlProvider();
+
+// Only keep absolute http(s) URLs, resolved against the page
+const cleanUrl = (value, base) => {
+  if (!value || typeof value !== 'string') return null;
+  try {
+    const url = new URL(value, base);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+const cleanText = (value, maxLength) =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+
+// Never throws: failures come back as metadata with an `error` message so the
+// card can fall back to the bare URL
+export async function unfurlLink(url, unfurlProvider = provider) {
+  const fetchedAt = new Date().toISOString();
+
+  try {
+    const meta = await unfurlProvider.fetchMetadata(url);
+    return {
+      title: cleanText(meta?.title, 200),
+      description: cleanText(meta?.description, 400),
+      image: cleanUrl(meta?.image, url),
+      favicon: cleanUrl(meta?.favicon, url),
+      fetched_at: fetchedAt,
+      error: null
+    };
+  } catch (err) {
+    console.error(`Could not unfurl ${url}:`, err);
+    return {
+      title: null,
+      description: null,
+      image: null,
+      favicon: null,
+      fetched_at: fetchedAt,
+      error: err.message || 'Page could not be reached'
+    };
+  }
+}
@@ -0,0 +1,156 @@
+// Stacking order of items on the canvas.
+//
+// Folders always sit below arrows, and arrows below notes, files and strokes.
+// Within those layers items stack by `z_index`, a float. Items that were never
+// reordered have no z_index and stack by creation time (their effective z is
+// created_at in milliseconds), so new items land on top. Reordering writes
+// z_index only on the moved items, choosing values between their new
+// neighbours.
+//
+// Folders stack among their siblings: a folder and everything nested in it
+// move together, and a nested folder always sits above its parent.
+
+export const REORDER_ACTIONS = {
+  front: 'Bring to front',
+  forward: 'Bring forward',
+  backward: 'Send backward',
+  back: 'Send to back'
+};
+
+export const getZ = (item) => item.z_index ?? Date.parse(item.created_at);
+
+export const compareZ = (a, b) =>
+  getZ(a) - getZ(b) ||
+  Date.parse(a.created_at) - Date.parse(b.created_at) ||
+  (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Items that stack against each other
+const getLayer = (item) => {
+  if (item.type === 'rectangle') return `folder:${item.parent_id || ''}`;
+  return item.type === 'connector' ? 'connectors' : 'cards';
+};
+
+// Folders parent-first, siblings by z
+const sortFolders = (folders) => {
+  const ids = new Set(folders.map(f => f.id));
+  const childrenOf = new Map();
+  folders.forEach(folder => {
+    const key = ids.has(folder.parent_id) ? folder.parent_id : null;
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(folder);
+  });
+
+  const result = [];
+  const seen = new Set();
+  const visit = (parentId) => {
+    (childrenOf.get(parentId) || []).sort(compareZ).forEach(folder => {
+      if (seen.has(folder.id)) return; // Guard against cycles from bad data
+      seen.add(folder.id);
+      result.push(folder);
+      visit(folder.id);
+    });
+  };
+  visit(null);
+
+  // Folders only reachable through a cycle still get drawn
+  return [...result, ...folders.filter(f => !seen.has(f.id)).sort(compareZ)];
+};
+
+// Items in drawing order, bottom first
+export const stackItems = (items) => ({
+  folders: sortFolders(items.filter(i => i.type === 'rectangle')),
+  connectors: items.filter(i => i.type === 'connector').sort(compareZ),
+  cards: items.filter(i => i.type !== 'rectangle' && i.type !== 'connector').sort(compareZ)
+});
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width && b.x < a.x + a.width &&
+  a.y < b.y + b.height && b.y < a.y + a.height;
+
+// `count` increasing values strictly between lo and hi, or null if the floats
+// between them have run out (or lo and hi are tied)
+const spread = (lo, hi, count) => {
+  const values = Array.from({ length: count }, (_, i) => lo + ((hi - lo) * (i + 1)) / (count + 1));
+  const ordered = values.every((z, i) => z > (i === 0 ? lo : values[i - 1]) && z < hi);
+  return ordered ? values : null;
+};
+
+// For forward/backward: the nearest item in that direction that overlaps a
+// moving one (or simply the nearest item), which the moving ones pass
+const findAnchor = (stack, movingIds, moving, action) => {
+  const candidates = action === 'forward'
+    ? stack.slice(stack.findLastIndex(i => movingIds.has(i.id)) + 1)
+    : stack.slice(0, stack.findIndex(i => movingIds.has(i.id))).reverse();
+  return candidates.find(c => moving.some(m => overlaps(c, m))) || candidates[0] || null;
+};
+
+// New z values for `moving` (bottom first) within one layer's `stack`: [] if
+// there's nowhere to go, null when only renumbering the layer makes room
+const reorderLayer = (stack, moving, movingIds, action) => {
+  const rest = stack.filter(i => !movingIds.has(i.id));
+  const n = moving.length;
+  if (rest.length === 0) return [];
+
+  if (action === 'front') {
+    if (stack.slice(-n).every(i => movingIds.has(i.id))) return [];
+    const top = getZ(rest[rest.length - 1]);
+    return moving.map((_, i) => top + i + 1);
+  }
+
+  if (action === 'back') {
+    if (stack.slice(0, n).every(i => movingIds.has(i.id))) return [];
+    const bottom = getZ(rest[0]);
+    return moving.map((_, i) => bottom - n + i);
+  }
+
+  const anchor = findAnchor(stack, movingIds, moving, action);
+  if (!anchor) return [];
+
+  const index = stack.indexOf(anchor);
+  if (action === 'forward') {
+    const next = stack[index + 1];
+    return spread(getZ(anchor), next ? getZ(next) : getZ(anchor) + n + 1, n);
+  }
+  const previous = stack[index - 1];
+  return spread(previous ? getZ(previous) : getZ(anchor) - n - 1, getZ(anchor), n);
+};
+
+// The order `stack` ends up in, for renumbering
+const reorderedStack = (stack, moving, movingIds, action) => {
+  const rest = stack.filter(i => !movingIds.has(i.id));
+  if (action === 'front') return [...rest, ...moving];
+  if (action === 'back') return [...moving, ...rest];
+
+  const index = rest.indexOf(findAnchor(stack, movingIds, moving, action)) + (action === 'forward' ? 1 : 0);
+  return [...rest.slice(0, index), ...moving, ...rest.slice(index)];
+};
+
+// z_index updates ({ id, z_index }) that apply a REORDER_ACTIONS action to
+// `targets`. Normally only the targets are written; a layer whose items are
+// tied or packed too tightly is renumbered instead.
+export const getReorderUpdates = (targets, items, action) => {
+  const layers = new Map();
+  items.forEach(item => {
+    const layer = getLayer(item);
+    if (!layers.has(layer)) layers.set(layer, []);
+    layers.get(layer).push(item);
+  });
+
+  const targetIds = new Set(targets.map(i => i.id));
+  const updates = [];
+
+  layers.forEach(layerItems => {
+    const stack = layerItems.sort(compareZ);
+    const moving = stack.filter(i => targetIds.has(i.id));
+    if (moving.length === 0) return;
+
+    const values = reorderLayer(stack, moving, targetIds, action);
+    if (values) {
+      values.forEach((z, i) => updates.push({ id: moving[i].id, z_index: z }));
+    } else {
+      reorderedStack(stack, moving, targetIds, action).forEach((item, i) => updates.push({ id: item.id, z_index: i }));
+    }
+  });
+
+  return updates;
+};
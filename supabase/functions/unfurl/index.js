@@ -0,0 +1,326 @@
+// Supabase Edge Function: fetch a web page and return its link preview metadata.
+//
+// Deploy with `supabase functions deploy unfurl` and set VITE_UNFURL=supabase.
+// Request:  POST { url }  (or GET ?url=...)
+// Response: { title, description, image, favicon }
+//
+// The function fetches whatever URL it is given, so every hop (including each
+// redirect) is checked first: the host must resolve only to public addresses,
+// never loopback, private, link-local (cloud metadata) or otherwise reserved
+// ranges. The request then connects to the address that was checked instead
+// of looking the host up again, so DNS rebinding can't swap in another one.
+
+const MAX_BYTES = 512 * 1024; // Metadata lives in <head>; don't download whole pages
+const TIMEOUT_MS = 6000; // For the whole request, redirects and DNS included
+const MAX_REDIRECTS = 5;
+const MAX_HEADER_BYTES = 64 * 1024;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+});
+
+// Errors caused by the requested URL rather than the page it points to
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const parseIPv4 = (address) => {
+  const parts = address.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) return null;
+  return parts.map(Number);
+};
+
+// The eight 16-bit groups of an IPv6 address
+const parseIPv6 = (address) => {
+  let text = address.split('%')[0];
+
+  // Embedded dotted IPv4 (e.g. ::ffff:127.0.0.1) becomes the last two groups
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = parseIPv4(dotted[1]);
+    if (!v4) return null;
+    text = text.slice(0, -dotted[1].length) + `${((v4[0] << 8) | v4[1]).toString(16)}:${((v4[2] << 8) | v4[3]).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...head, ...Array(halves.length === 1 ? 0 : missing).fill('0'), ...tail];
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+  return groups.map(group => parseInt(group, 16));
+};
+
+const isReservedIPv4 = ([a, b, c]) =>
+  a === 0 || // "This" network
+  a === 10 ||
+  a === 127 || // Loopback
+  (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+  (a === 169 && b === 254) || // Link-local, including cloud metadata endpoints
+  (a === 172 && b >= 16 && b <= 31) ||
+  (a === 192 && b === 0 && (c === 0 || c === 2)) || // Protocol assignments, TEST-NET-1
+  (a === 192 && b === 168) ||
+  (a === 198 && (b === 18 || b === 19)) || // Benchmarking (198.18.0.0/15)
+  (a === 198 && b === 51 && c === 100) || // TEST-NET-2
+  (a === 203 && b === 0 && c === 113) || // TEST-NET-3
+  a >= 224; // Multicast (224.0.0.0/4), reserved (240.0.0.0/4) and broadcast
+
+const isReservedIPv6 = (groups) => {
+  const [first, second] = groups;
+  const embedsIPv4 =
+    (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) || // ::a.b.c.d, ::ffff:a.b.c.d (and :: / ::1)
+    (first === 0x64 && second === 0xff9b && groups.slice(2, 6).every(group => group === 0)); // NAT64
+  if (embedsIPv4) {
+    return isReservedIPv4([groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255]);
+  }
+
+  return (first & 0xfe00) === 0xfc00 || // Unique local, including fd00:ec2::254
+    (first & 0xffc0) === 0xfe80 || // Link-local
+    (first & 0xff00) === 0xff00; // Multicast
+};
+
+// Anything that doesn't parse is treated as reserved
+const isReservedAddress = (address) => {
+  const v4 = parseIPv4(address);
+  if (v4) return isReservedIPv4(v4);
+  const v6 = parseIPv6(address);
+  return v6 ? isReservedIPv6(v6) : true;
+};
+
+// The address to connect to for `url`. Throws unless it is http(s) and its
+// host resolves only to public addresses.
+const resolvePublicAddress = async (url, signal) => {
+  if (!/^https?:$/.test(url.protocol)) throw badRequest('Unsupported protocol');
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) throw badRequest('URL points to a private address');
+
+  let addresses = [host];
+  if (!parseIPv4(host) && !host.includes(':')) {
+    const results = await Promise.allSettled([
+      Deno.resolveDns(host, 'A', { signal }),
+      Deno.resolveDns(host, 'AAAA', { signal })
+    ]);
+    addresses = results.flatMap(result => (result.status === 'fulfilled' ? result.value : []));
+    if (addresses.length === 0) throw badRequest(`Could not resolve ${host}`);
+  }
+
+  if (addresses.some(isReservedAddress)) throw badRequest('URL points to a private address');
+  return addresses[0];
+};
+
+// Reject when the signal fires first (Deno.connect takes no signal)
+const abortable = (promise, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => reject(signal.reason);
+  if (signal.aborted) {
+    onAbort();
+    return;
+  }
+  signal.addEventListener('abort', onAbort, { once: true });
+  promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+});
+
+const indexOfHeaderEnd = (bytes) => {
+  for (let i = 3; i < bytes.length; i++) {
+    if (bytes[i - 3] === 13 && bytes[i - 2] === 10 && bytes[i - 1] === 13 && bytes[i] === 10) return i + 1;
+  }
+  return -1;
+};
+
+const concatBytes = (a, b) => {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a);
+  result.set(b, a.length);
+  return result;
+};
+
+// GET `url` over a connection to `address`, which was already checked. TLS
+// still verifies the certificate against the URL's hostname. HTTP/1.0 keeps
+// the body unchunked, ending when the server closes the connection.
+const fetchFromAddress = async (url, address, signal) => {
+  const port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+  let conn = await abortable(Deno.connect({ hostname: address, port }), signal);
+  const close = () => {
+    try {
+      conn.close();
+    } catch {
+      // Already closed
+    }
+  };
+  signal.addEventListener('abort', close, { once: true });
+
+  try {
+    if (url.protocol === 'https:') {
+      conn = await abortable(Deno.startTls(conn, { hostname: url.hostname.replace(/^\[|\]$/g, '') }), signal);
+    }
+
+    const request = [
+      `GET ${url.pathname}${url.search} HTTP/1.0`,
+      `Host: ${url.host}`,
+      'User-Agent: OmnispaceUnfurl/1.0',
+      'Accept: text/html',
+      'Accept-Encoding: identity',
+      'Connection: close',
+      '',
+      ''
+    ].join('\r\n');
+    const writer = conn.writable.getWriter();
+    await writer.write(new TextEncoder().encode(request));
+    writer.releaseLock();
+
+    const reader = conn.readable.getReader();
+    let buffer = new Uint8Array(0);
+    let headerEnd;
+    while ((headerEnd = indexOfHeaderEnd(buffer)) === -1) {
+      if (buffer.length > MAX_HEADER_BYTES) throw new Error('Response headers too large');
+      const { done, value } = await reader.read();
+      if (done) throw new Error('Connection closed before the response');
+      buffer = concatBytes(buffer, value);
+    }
+
+    const [statusLine, ...lines] = new TextDecoder().decode(buffer.subarray(0, headerEnd - 4)).split('\r\n');
+    const status = Number(statusLine.split(' ')[1]);
+    const headers = new Headers();
+    lines.forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+    });
+
+    const rest = buffer.subarray(headerEnd);
+    const body = new ReadableStream({
+      start(controller) {
+        if (rest.length > 0) controller.enqueue(rest);
+      },
+      async pull(controller) {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+          close();
+        } else {
+          controller.enqueue(value);
+        }
+      },
+      cancel: close
+    });
+
+    const hasBody = ![101, 204, 205, 304].includes(status);
+    return new Response(hasBody ? body : null, { status, headers });
+  } catch (err) {
+    close();
+    throw err;
+  }
+};
+
+// Follow redirects by hand so every hop is checked; returns the final response and its URL
+const fetchPage = async (url, signal) => {
+  for (let redirects = 0; ; redirects++) {
+    const address = await resolvePublicAddress(url, signal);
+    const response = await fetchFromAddress(url, address, signal);
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, pageUrl: url };
+    }
+
+    await response.body?.cancel();
+    if (redirects === MAX_REDIRECTS) throw new Error('Too many redirects');
+    url = new URL(location, url);
+  }
+};
+
+const decodeEntities = (text) => text
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+
+// Attribute maps for every tag with the given name
+const findTags = (html, tagName) =>
+  [...html.matchAll(new RegExp(`<${tagName}\\b([^>]*)>`, 'gi'))].map(([, attributes]) => {
+    const result = {};
+    for (const [, name, , value] of attributes.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+      result[name.toLowerCase()] = decodeEntities(value);
+    }
+    return result;
+  });
+
+const readHead = async (response) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let html = '';
+  let bytes = 0;
+
+  while (bytes < MAX_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes += value.byteLength;
+    html += decoder.decode(value, { stream: true });
+    if (/<\/head>/i.test(html)) break;
+  }
+  reader.cancel();
+  return html;
+};
+
+const extractMetadata = (html, pageUrl) => {
+  const metas = findTags(html, 'meta');
+  const meta = (...keys) => {
+    for (const key of keys) {
+      const tag = metas.find(m => (m.property || m.name || '').toLowerCase() === key);
+      if (tag?.content) return tag.content.trim();
+    }
+    return null;
+  };
+
+  const icon = findTags(html, 'link').find(link => /\bicon\b/i.test(link.rel || ''));
+  const title = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  return {
+    title: meta('og:title', 'twitter:title') || (title ? decodeEntities(title[1]).trim() : null),
+    description: meta('og:description', 'twitter:description', 'description'),
+    image: meta('og:image', 'og:image:url', 'twitter:image'),
+    favicon: new URL(icon?.href || '/favicon.ico', pageUrl).href
+  };
+};
+
+Deno.serve(async (request) => {
+  if (request.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  let url;
+  try {
+    url = request.method === 'POST'
+      ? (await request.json()).url
+      : new URL(request.url).searchParams.get('url');
+    url = new URL(url);
+    if (!/^https?:$/.test(url.protocol)) throw new Error('Unsupported protocol');
+  } catch {
+    return json({ error: 'A valid http(s) url is required' }, 400);
+  }
+
+  try {
+    const { response, pageUrl } = await fetchPage(url, AbortSignal.timeout(TIMEOUT_MS));
+    if (!response.ok) {
+      await response.body?.cancel();
+      return json({ error: `Page returned ${response.status}` }, 502);
+    }
+    if (!(response.headers.get('content-type') || '').includes('html')) {
+      await response.body?.cancel();
+      return json({ title: pageUrl.pathname.split('/').pop() || pageUrl.hostname, description: null, image: null, favicon: null });
+    }
+
+    return json(extractMetadata(await readHead(response), pageUrl.href));
+  } catch (err) {
+    return json({ error: err.message }, err.status || 502);
+  }
+});